@@ -13,6 +13,21 @@ class BackgroundService {
     chrome.action.onClicked.addListener((tab) => {
       this.handleExtensionClick(tab);
     });
+
+    chrome.runtime.onInstalled.addListener(() => {
+      this.createContextMenus();
+    });
+
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      this.handleContextMenuClick(info, tab);
+    });
+
+    // A badge belongs to the page that was summarized, not to the tab
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.status === 'loading') {
+        this.setActionBadge(tabId, 'clear');
+      }
+    });
   }
 
   async handleMessage(message, sender, sendResponse) {
@@ -34,6 +49,12 @@ class BackgroundService {
       case 'INJECT_SIDEBAR':
         this.injectSidebar(sender.tab.id, sendResponse);
         break;
+      case 'SET_ACTION_BADGE':
+        if (sender.tab) {
+          this.setActionBadge(sender.tab.id, data.state);
+        }
+        sendResponse({ success: true });
+        break;
       case 'FETCH_YOUTUBE_TRANSCRIPT':
         await this.fetchYouTubeTranscript(data, sendResponse);
         break;
@@ -48,7 +69,38 @@ class BackgroundService {
 
   handleExtensionClick(tab) {
     console.log('Extension clicked, tab:', tab);
-    
+    this.sendToContentScript(tab, { type: 'TOGGLE_SIDEBAR_VISIBILITY' });
+  }
+
+  createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+      this.getContextMenuItems().forEach(item => {
+        chrome.contextMenus.create({ id: item.id, title: item.title, contexts: ['selection'] });
+      });
+    });
+  }
+
+  getContextMenuItems() {
+    return [
+      { id: 'summarize-selection', title: 'Summarize selection', action: 'summarize' },
+      { id: 'explain-selection', title: 'Explain selection', action: 'explain' },
+      { id: 'ask-about-selection', title: 'Ask about selection...', action: 'ask' }
+    ];
+  }
+
+  // Opens the sidebar on the tab and starts a chat about the selected text
+  handleContextMenuClick(info, tab) {
+    const item = this.getContextMenuItems().find(entry => entry.id === info.menuItemId);
+    if (!item || !tab) return;
+
+    console.log('Context menu clicked:', item.id);
+    this.sendToContentScript(tab, {
+      type: 'START_SELECTION_CHAT',
+      data: { action: item.action, selection: info.selectionText || '' }
+    });
+  }
+
+  sendToContentScript(tab, message) {
     // Inject the content script
     chrome.scripting.executeScript({
       target: { tabId: tab.id },
@@ -61,19 +113,31 @@ class BackgroundService {
       
       console.log('Content script injected successfully');
       
-      // Wait a bit for the content script to initialize, then send the toggle message
+      // Wait a bit for the content script to initialize, then send the message
       setTimeout(() => {
-        chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_SIDEBAR_VISIBILITY' }, (response) => {
+        chrome.tabs.sendMessage(tab.id, message, (response) => {
           if (chrome.runtime.lastError) {
-            console.error('Error toggling sidebar:', chrome.runtime.lastError);
+            console.error(`Error sending ${message.type}:`, chrome.runtime.lastError);
           } else {
-            console.log('Sidebar toggled successfully, response:', response);
+            console.log(`${message.type} handled, response:`, response);
           }
         });
       }, 100);
     });
   }
 
+  setActionBadge(tabId, state) {
+    const badges = {
+      ready: { text: '✓', color: '#10b981' },
+      error: { text: '!', color: '#ef4444' },
+      clear: { text: '', color: '#10b981' }
+    };
+    const badge = badges[state] || badges.clear;
+
+    chrome.action.setBadgeText({ tabId, text: badge.text });
+    chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  }
+
   toggleSidebar(tabId, sendResponse) {
     chrome.tabs.sendMessage(tabId, { type: 'TOGGLE_SIDEBAR_VISIBILITY' }, (response) => {
       if (chrome.runtime.lastError) {
@@ -100,7 +164,8 @@ class BackgroundService {
   async getSettings(sendResponse) {
     try {
       const result = await chrome.storage.sync.get(this.getDefaultSettings());
-      sendResponse({ success: true, settings: result });
+      const localSettings = await chrome.storage.local.get(this.getLocalSettingKeys());
+      sendResponse({ success: true, settings: { ...result, ...localSettings } });
     } catch (error) {
       console.error('Error getting settings:', error);
       sendResponse({ success: false, error: error.message });
@@ -109,7 +174,16 @@ class BackgroundService {
 
   async saveSettings(settings, sendResponse) {
     try {
-      await chrome.storage.sync.set(settings);
+      const localKeys = this.getLocalSettingKeys();
+      const localSettings = {};
+      const syncSettings = {};
+      Object.entries(settings).forEach(([key, value]) => {
+        (localKeys.includes(key) ? localSettings : syncSettings)[key] = value;
+      });
+
+      await chrome.storage.local.set(localSettings);
+      await chrome.storage.sync.set(syncSettings);
+      await chrome.storage.sync.remove(Object.keys(localSettings));
       sendResponse({ success: true });
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -117,6 +191,11 @@ class BackgroundService {
     }
   }
 
+  // Kept in storage.local because they can outgrow storage.sync's per-item quota
+  getLocalSettingKeys() {
+    return ['summaryPresets', 'promptTemplates', 'siteRules', 'profiles'];
+  }
+
   getDefaultSettings() {
     return {
       baseUrl: 'https://openrouter.ai/api/v1',
@@ -125,6 +204,29 @@ class BackgroundService {
       dumplingApiUrl: 'https://app.dumplingai.com/api/v1',
       pdf2markdownUrl: 'https://xtomd.vercel.app/api',
       modelName: 'qwen/qwen3-235b-a22b-2507',
+      providerType: 'openai',
+      maxTokens: 4096,
+      fallbackModels: [],
+      extraHeaders: {},
+      profiles: [],
+      activeProfileId: '',
+      contextWindow: 65536,
+      reasoningMode: 'show',
+      modelPrices: {},
+      dailyTokenCap: 0,
+      dailySpendCap: 0,
+      monthlyTokenCap: 0,
+      monthlySpendCap: 0,
+      budgetAction: 'warn',
+      summaryPresets: [],
+      promptTemplates: {},
+      siteRules: [],
+      autoSummarizeDomains: [],
+      outputLanguageMode: 'page',
+      outputLanguage: '',
+      bilingualMode: 'off',
+      verifySummaries: false,
+      citations: true,
       systemPrompt: `You are a helpful assistant that summarizes web pages. 
 Please provide a concise, neutral summary of the content provided. 
 Focus on the main points and key information.
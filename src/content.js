@@ -161,1602 +161,7733 @@ class PDFHandler {
   }
 }
 
-class SidebarManager {
+// Buffered SSE streaming client shared by every provider adapter (integrated directly to avoid ES6 import issues)
+class SSEStreamClient {
   constructor() {
-    this.pdfHandler = new PDFHandler();
-    this.isVisible = false;
-    this.sidebarContainer = null;
-    this.overlay = null;
-    this.init();
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+    this.eventName = '';
+    this.dataLines = [];
   }
 
-  init() {
-    this.setupMessageListener();
-    this.createStyles();
-    this.loadSettings();
-  }
+  // Feed decoded text; returns the frames completed by it. Partial lines stay
+  // buffered until the rest arrives in a later network chunk.
+  feed(text) {
+    this.buffer += text;
+    const frames = [];
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.search(/\r\n|\r|\n/)) !== -1) {
+      // A trailing \r may be the first half of a \r\n split across chunks
+      if (newlineIndex === this.buffer.length - 1 && this.buffer.endsWith('\r')) break;
+
+      const line = this.buffer.slice(0, newlineIndex);
+      const separatorLength = this.buffer.startsWith('\r\n', newlineIndex) ? 2 : 1;
+      this.buffer = this.buffer.slice(newlineIndex + separatorLength);
+      this.processLine(line, frames);
+    }
 
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
-      return true;
-    });
+    return frames;
   }
 
-  handleMessage(message, sender, sendResponse) {
-    console.log('Content script received message:', message);
-    const { type, data } = message;
-
-    switch (type) {
-      case 'TOGGLE_SIDEBAR_VISIBILITY':
-        console.log('Toggling sidebar visibility');
-        this.toggleSidebar();
-        sendResponse({ visible: this.isVisible });
-        break;
-      case 'INJECT_SIDEBAR':
-        console.log('Injecting sidebar');
-        this.injectSidebar();
-        sendResponse({ success: true });
-        break;
-      case 'UPDATE_SETTINGS':
-        console.log('Updating settings');
-        this.applySettings(data);
-        sendResponse({ success: true });
-        break;
-      default:
-        console.warn('Unknown message type in content script:', type);
-        sendResponse({ success: false, error: 'Unknown message type' });
+  // Call once the body ends: dispatches a trailing frame with no blank line after it
+  flush() {
+    const frames = [];
+    if (this.buffer) {
+      this.processLine(this.buffer.replace(/\r$/, ''), frames);
+      this.buffer = '';
     }
+    this.dispatch(frames);
+    return frames;
   }
 
-  createStyles() {
-    const styleId = 'neutral-summarizer-styles';
-    if (document.getElementById(styleId)) {
+  processLine(line, frames) {
+    // A blank line ends the current frame
+    if (line === '') {
+      this.dispatch(frames);
       return;
     }
 
-    const styles = `
-      #neutral-summarizer-overlay {
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0, 0, 0, 0.5);
-        z-index: 999998;
-        display: none;
-        backdrop-filter: blur(2px);
-      }
+    // Comment lines (e.g. OpenRouter's ": OPENROUTER PROCESSING") are keep-alives
+    if (line.startsWith(':')) return;
 
-      #neutral-summarizer-sidebar {
-        position: fixed;
-        top: 0;
-        right: 0;
-        width: 400px;
-        height: 100%;
-        background: white;
-        box-shadow: -2px 0 10px rgba(0, 0, 0, 0.1);
-        z-index: 999999;
-        transition: transform 0.3s ease-in-out;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        display: flex;
-        flex-direction: column;
-        transform: translateX(100%);
-      }
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
 
-      #neutral-summarizer-sidebar.open {
-        transform: translateX(0);
+    if (field === 'event') {
+      this.eventName = value;
+    } else if (field === 'data') {
+      // Some servers separate frames with a single newline; treat a new data line
+      // after a complete JSON payload as the start of the next frame
+      if (this.dataLines.length > 0 && this.isCompleteJSON(this.dataLines.join('\n'))) {
+        this.dispatch(frames);
       }
+      this.dataLines.push(value);
+    }
+  }
 
-      #neutral-summarizer-sidebar-header {
-        padding: 16px;
-        border-bottom: 1px solid #e5e7eb;
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        background: #f9fafb;
-      }
+  dispatch(frames) {
+    if (this.dataLines.length > 0) {
+      frames.push({
+        event: this.eventName || 'message',
+        data: this.dataLines.join('\n')
+      });
+    }
+    this.eventName = '';
+    this.dataLines = [];
+  }
 
-      #neutral-summarizer-sidebar-title {
-        font-size: 16px;
-        font-weight: 600;
-        color: #1f2937;
-      }
+  isCompleteJSON(text) {
+    try {
+      JSON.parse(text);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
 
-      #neutral-summarizer-close-btn {
-        background: none;
-        border: none;
-        font-size: 20px;
-        cursor: pointer;
-        color: #6b7280;
-        padding: 4px;
-        border-radius: 4px;
-        transition: background-color 0.2s;
-      }
+  // Raw SSE frames from a fetch Response; the reader is released however the loop ends
+  async *frames(response) {
+    if (!response.body) {
+      throw new Error('Response body is not readable');
+    }
 
-      #neutral-summarizer-close-btn:hover {
-        background: #e5e7eb;
-        color: #374151;
+    const reader = response.body.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield* this.feed(this.decoder.decode(value, { stream: true }));
       }
-
-      #neutral-summarizer-tabs {
-        display: flex;
-        background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%);
-        height: 48px;
-        padding: 6px;
-        gap: 6px;
-        position: relative;
-        overflow: hidden;
+      yield* this.feed(this.decoder.decode());
+      yield* this.flush();
+    } finally {
+      try {
+        reader.releaseLock();
+      } catch (e) {
+        // The lock is already gone when the request was aborted mid-read
       }
+    }
+  }
 
-      #neutral-summarizer-tabs::before {
-        content: '';
-        position: absolute;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: linear-gradient(45deg, rgba(255, 255, 255, 0.1) 0%, rgba(255, 255, 255, 0.05) 100%);
-        pointer-events: none;
-      }
+  // OpenAI-compatible chat completion events:
+  //   { type: 'reasoning', content } reasoning ("thinking") delta
+  //   { type: 'content', content }   text delta
+  //   { type: 'finish', reason }     finish_reason of the choice
+  //   { type: 'usage', usage }       token usage block
+  //   { type: 'model', model }       model that is answering (OpenRouter may route elsewhere)
+  // Error frames are thrown; the stream ends at [DONE].
+  async *events(response) {
+    let model = null;
 
-      .neutral-summarizer-tab {
-        flex: 1;
-        padding: 8px 12px;
-        background: rgba(255, 255, 255, 0.15);
-        backdrop-filter: blur(10px);
-        border: 1px solid rgba(255, 255, 255, 0.2);
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: 13px;
-        font-weight: 600;
-        color: rgba(255, 255, 255, 0.9);
-        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        text-align: center;
-        outline: none;
-        position: relative;
-        overflow: hidden;
-        text-transform: uppercase;
-        letter-spacing: 0.3px;
-        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
-      }
-      
-      .neutral-summarizer-tab::before {
-        content: '';
-        position: absolute;
-        top: 0;
-        left: -100%;
-        width: 100%;
-        height: 100%;
-        background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.2), transparent);
-        transition: left 0.5s;
+    for await (const frame of this.frames(response)) {
+      if (frame.data === '[DONE]') return;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(frame.data);
+      } catch (e) {
+        console.debug('Skipping non-JSON stream frame:', frame.data);
+        continue;
       }
-      
-      .neutral-summarizer-tab:hover::before {
-        left: 100%;
+
+      if (frame.event === 'error' || parsed.error) {
+        const error = parsed.error || parsed;
+        throw new Error(`Stream error: ${error.message || JSON.stringify(error)}`);
       }
-      
-      .neutral-summarizer-tab:hover {
-        background: rgba(255, 255, 255, 0.25);
-        color: white;
-        border-color: rgba(255, 255, 255, 0.3);
-        transform: translateY(-1px) scale(1.01);
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+
+      if (parsed.model && parsed.model !== model) {
+        model = parsed.model;
+        yield { type: 'model', model: model };
       }
-      
-      .neutral-summarizer-tab:focus {
-        outline: none;
-        box-shadow: 0 0 0 3px rgba(255, 255, 255, 0.3);
+
+      const choice = parsed.choices && parsed.choices[0];
+      const reasoning = choice && choice.delta && (choice.delta.reasoning || choice.delta.reasoning_content);
+      if (reasoning) {
+        yield { type: 'reasoning', content: reasoning };
       }
-      
-      .neutral-summarizer-tab.active {
-        background: rgba(255, 255, 255, 0.9);
-        color: #1e40af;
-        border-color: rgba(255, 255, 255, 0.4);
-        font-weight: 700;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
-        transform: translateY(-1px);
+      if (choice && choice.delta && choice.delta.content) {
+        yield { type: 'content', content: choice.delta.content };
       }
-      
-      .neutral-summarizer-tab.active:hover {
-        background: white;
-        color: #1e40af;
-        transform: translateY(-1px) scale(1.01);
-        box-shadow: 0 6px 16px rgba(0, 0, 0, 0.25);
+      if (choice && choice.finish_reason) {
+        yield { type: 'finish', reason: choice.finish_reason };
       }
-      
-      .neutral-summarizer-tab:active {
-        transform: translateY(-1px) scale(0.98);
+      if (parsed.usage) {
+        yield { type: 'usage', usage: parsed.usage };
       }
+    }
+  }
+}
 
-      .neutral-summarizer-tab .tab-icon {
-        margin-right: 6px;
-        font-size: 14px;
-      }
+// Newline-delimited JSON stream reader (the format Ollama streams natively)
+class NDJSONStreamClient {
+  async *objects(response) {
+    if (!response.body) {
+      throw new Error('Response body is not readable');
+    }
 
-      #neutral-summarizer-content {
-        flex: 1;
-        overflow-y: auto;
-        padding: 16px;
-      }
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
 
-      #neutral-summarizer-tab-content {
-        display: none;
+    const parseLine = (line) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        console.debug('Skipping non-JSON stream line:', line);
+        return null;
       }
+    };
 
-      #neutral-summarizer-tab-content.active {
-        display: block;
-      }
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
 
-      .neutral-summarizer-empty-state {
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        text-align: center;
-        padding: 60px 20px;
-        background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
-        border-radius: 16px;
-        margin: 20px;
-        color: #64748b;
-        min-height: 400px;
-        position: relative;
-        overflow: hidden;
-        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.05);
-      }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete line for the next chunk
 
-      .neutral-summarizer-empty-state::before {
-        content: '';
-        position: absolute;
-        top: -50%;
-        left: -50%;
-        width: 200%;
-        height: 200%;
-        background: radial-gradient(circle, rgba(255, 255, 255, 0.1) 0%, transparent 70%);
-        animation: float 20s infinite linear;
+        for (const line of lines) {
+          const parsed = parseLine(line);
+          if (parsed) yield parsed;
+        }
       }
 
-      @keyframes float {
-        0% { transform: rotate(0deg); }
-        100% { transform: rotate(360deg); }
-      }
-
-      .neutral-summarizer-empty-state .neutral-summarizer-empty-icon {
-        font-size: 64px;
-        margin-bottom: 24px;
-        opacity: 0.8;
-        animation: bounce 2s infinite;
-        filter: drop-shadow(0 4px 8px rgba(0, 0, 0, 0.1));
+      const last = parseLine(buffer + decoder.decode());
+      if (last) yield last;
+    } finally {
+      try {
+        reader.releaseLock();
+      } catch (e) {
+        // The lock is already gone when the request was aborted mid-read
       }
+    }
+  }
+}
 
-      @keyframes bounce {
-        0%, 20%, 50%, 80%, 100% { transform: translateY(0); }
-        40% { transform: translateY(-10px); }
-        60% { transform: translateY(-5px); }
-      }
+// Provider adapters translate the OpenAI-style request body used by the sidebar into each
+// API's wire format and turn its responses back into the same content/finish/usage events
+class OpenAICompatibleAdapter {
+  getCompletionUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  }
 
-      .neutral-summarizer-empty-state h3 {
-        font-size: 20px;
-        font-weight: 700;
-        color: #1e293b;
-        margin: 0 0 12px 0;
-        text-transform: uppercase;
-        letter-spacing: 1px;
-        background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%);
-        -webkit-background-clip: text;
-        -webkit-text-fill-color: transparent;
-        background-clip: text;
-      }
+  getModelsUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/models`;
+  }
 
-      .neutral-summarizer-empty-state p {
-        font-size: calc(var(--neutral-summarizer-font-size, 14px) + 2px);
-        margin: 0;
-        line-height: 1.6;
-        color: #64748b;
-        font-weight: 400;
-        max-width: 280px;
-      }
+  requiresApiKey() {
+    return true;
+  }
 
-      .neutral-summarizer-empty-state .shimmer {
-        position: relative;
-        overflow: hidden;
-        margin-top: 20px;
-        padding: 8px 16px;
-        background: linear-gradient(90deg, #e2e8f0 25%, #f1f5f9 50%, #e2e8f0 75%);
-        background-size: 200% 100%;
-        animation: shimmer 1.5s infinite;
-        border-radius: 20px;
-        color: #94a3b8;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        font-weight: 500;
-      }
+  isOpenRouter(baseUrl) {
+    return /^https?:\/\/([^/]+\.)?openrouter\.ai\//i.test(baseUrl);
+  }
 
-      @keyframes shimmer {
-        0% { background-position: -200% 0; }
-        100% { background-position: 200% 0; }
-      }
-    `;
+  // `reasoning: { enabled: false }` is an OpenRouter extension; strict servers reject unknown fields
+  acceptsReasoningSwitch(baseUrl) {
+    return this.isOpenRouter(baseUrl);
+  }
 
-    const styleElement = document.createElement('style');
-    styleElement.id = styleId;
-    styleElement.textContent = styles;
-    document.head.appendChild(styleElement);
+  // OpenRouter's HTTP-Referer / X-Title app attribution; other servers are not sent the page URL
+  acceptsAttribution(baseUrl) {
+    return this.isOpenRouter(baseUrl);
   }
 
-  toggleSidebar() {
-    if (this.isVisible) {
-      this.hideSidebar();
-    } else {
-      this.showSidebar();
+  buildHeaders(apiKey, extraHeaders = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
     }
+    return headers;
   }
 
-  showSidebar() {
-    if (!this.sidebarContainer) {
-      this.injectSidebar();
+  // Ask for the final usage chunk so streamed answers can be metered
+  buildBody(requestBody) {
+    if (!requestBody.stream) {
+      return requestBody;
     }
+    return { ...requestBody, stream_options: { include_usage: true } };
+  }
 
-    this.overlay.style.display = 'block';
-    this.sidebarContainer.classList.add('open');
-    this.isVisible = true;
-    
-    // Apply saved sidebar width when showing sidebar
-    this.applySidebarWidth();
+  streamEvents(response) {
+    return new SSEStreamClient().events(response);
   }
 
-  hideSidebar() {
-    if (this.overlay) {
-      this.overlay.style.display = 'none';
+  parseResponse(data) {
+    const choice = data.choices && data.choices[0];
+    return {
+      content: (choice && choice.message && choice.message.content) || '',
+      finishReason: (choice && choice.finish_reason) || null,
+      usage: data.usage || null
+    };
+  }
+}
+
+// Anthropic Messages API: x-api-key auth, `system` as a top-level field and
+// content_block_delta stream events
+class AnthropicMessagesAdapter {
+  constructor() {
+    this.apiVersion = '2023-06-01';
+    this.stopReasons = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+  }
+
+  getCompletionUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/messages`;
+  }
+
+  getModelsUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/models`;
+  }
+
+  requiresApiKey() {
+    return true;
+  }
+
+  acceptsReasoningSwitch() {
+    return false;
+  }
+
+  acceptsAttribution() {
+    return false;
+  }
+
+  buildHeaders(apiKey, extraHeaders = {}) {
+    // OpenRouter's attribution headers mean nothing here and are not allowed by Anthropic's CORS preflight
+    const { 'HTTP-Referer': referer, 'X-Title': title, ...otherHeaders } = extraHeaders;
+
+    return {
+      'Content-Type': 'application/json',
+      'anthropic-version': this.apiVersion,
+      'anthropic-dangerous-direct-browser-access': 'true',
+      ...otherHeaders,
+      'x-api-key': apiKey || ''
+    };
+  }
+
+  buildBody(requestBody) {
+    const system = requestBody.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    // The Messages API needs alternating user/assistant turns
+    const messages = [];
+    requestBody.messages
+      .filter(message => message.role !== 'system')
+      .forEach(message => {
+        const previous = messages[messages.length - 1];
+        if (previous && previous.role === message.role) {
+          previous.content += `\n\n${message.content}`;
+        } else {
+          messages.push({ role: message.role, content: message.content });
+        }
+      });
+
+    const body = {
+      model: requestBody.model,
+      messages: messages,
+      max_tokens: requestBody.max_completion_tokens || requestBody.max_tokens || 4096,
+      stream: !!requestBody.stream
+    };
+
+    if (system) {
+      body.system = system;
     }
-    if (this.sidebarContainer) {
-      this.sidebarContainer.classList.remove('open');
+    if (requestBody.temperature !== undefined) {
+      body.temperature = Math.min(requestBody.temperature, 1);
     }
-    this.isVisible = false;
+
+    return body;
   }
 
-  injectSidebar() {
-    if (this.sidebarContainer) {
-      return;
+  async *streamEvents(response) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+
+    for await (const frame of new SSEStreamClient().frames(response)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(frame.data);
+      } catch (e) {
+        console.debug('Skipping non-JSON stream frame:', frame.data);
+        continue;
+      }
+
+      switch (parsed.type || frame.event) {
+        case 'message_start':
+          if (parsed.message && parsed.message.usage) {
+            usage.prompt_tokens = parsed.message.usage.input_tokens || 0;
+          }
+          break;
+
+        case 'content_block_delta':
+          if (parsed.delta && parsed.delta.type === 'text_delta' && parsed.delta.text) {
+            yield { type: 'content', content: parsed.delta.text };
+          } else if (parsed.delta && parsed.delta.type === 'thinking_delta' && parsed.delta.thinking) {
+            yield { type: 'reasoning', content: parsed.delta.thinking };
+          }
+          break;
+
+        case 'message_delta':
+          if (parsed.delta && parsed.delta.stop_reason) {
+            yield { type: 'finish', reason: this.normalizeStopReason(parsed.delta.stop_reason) };
+          }
+          if (parsed.usage) {
+            usage.completion_tokens = parsed.usage.output_tokens || 0;
+          }
+          break;
+
+        case 'message_stop':
+          yield { type: 'usage', usage: this.normalizeUsage(usage) };
+          return;
+
+        case 'error': {
+          const error = parsed.error || parsed;
+          throw new Error(`Stream error: ${error.message || JSON.stringify(error)}`);
+        }
+      }
     }
+  }
 
-    console.log('Creating sidebar DOM elements...');
+  parseResponse(data) {
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: content,
+      finishReason: this.normalizeStopReason(data.stop_reason),
+      usage: data.usage ? this.normalizeUsage({
+        prompt_tokens: data.usage.input_tokens || 0,
+        completion_tokens: data.usage.output_tokens || 0
+      }) : null
+    };
+  }
 
-    // Create overlay
-    this.overlay = document.createElement('div');
-    this.overlay.id = 'neutral-summarizer-overlay';
-    this.overlay.addEventListener('click', () => this.hideSidebar());
-    document.body.appendChild(this.overlay);
-    console.log('Overlay created');
+  normalizeStopReason(reason) {
+    return reason ? (this.stopReasons[reason] || reason) : null;
+  }
 
-    // Create sidebar container
-    this.sidebarContainer = document.createElement('div');
-    this.sidebarContainer.id = 'neutral-summarizer-sidebar';
+  normalizeUsage(usage) {
+    return { ...usage, total_tokens: usage.prompt_tokens + usage.completion_tokens };
+  }
+}
 
-    // Create sidebar structure
-    this.sidebarContainer.innerHTML = `
-      <div id="neutral-summarizer-sidebar-header">
-        <div id="neutral-summarizer-sidebar-title">Neutral Summarizer</div>
-        <button id="neutral-summarizer-close-btn" title="Close sidebar">✕</button>
-      </div>
-      
-      <div id="neutral-summarizer-tabs">
-        <button class="neutral-summarizer-tab active" data-tab="content">
-          <span class="tab-icon">💬</span>
-          Content
-        </button>
-        <button class="neutral-summarizer-tab" data-tab="settings">
-          <span class="tab-icon">⚙️</span>
-          Settings
-        </button>
-      </div>
-      
-      <div id="neutral-summarizer-content">
-        <div id="neutral-summarizer-tab-content" class="active" data-tab="content">
-          <div id="neutral-summarizer-chat-container">
-            <div class="neutral-summarizer-empty-state">
-              <div class="neutral-summarizer-empty-icon">💬</div>
-              <h3>Chat Interface</h3>
-              <p>Components will be loaded here...</p>
-            </div>
-          </div>
-        </div>
-        <div id="neutral-summarizer-tab-content" data-tab="settings">
-          <div id="neutral-summarizer-settings-container">
-            <div class="neutral-summarizer-empty-state">
-              <div class="neutral-summarizer-empty-icon">⚙️</div>
-              <h3>Settings Interface</h3>
-              <p>Settings will be loaded here...</p>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
+// Local servers need no API key. llama.cpp, LM Studio and Ollama's /v1 endpoint
+// speak Chat Completions, so they only differ from OpenAI-compatible in the key.
+class LocalServerAdapter extends OpenAICompatibleAdapter {
+  requiresApiKey() {
+    return false;
+  }
+}
 
-    document.body.appendChild(this.sidebarContainer);
-    console.log('Sidebar container created and added to DOM');
+// Ollama's native API (/api/chat, /api/tags) with NDJSON streaming
+class OllamaAdapter extends LocalServerAdapter {
+  // Mapped to `think: false` in buildBody
+  acceptsReasoningSwitch() {
+    return true;
+  }
 
-    // Add event listeners
-    this.setupEventListeners();
-    console.log('Event listeners set up');
+  getCompletionUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/api/chat`;
+  }
 
-    // Load basic styles first, then try components
-    this.loadComponentStyles();
-    
-    // Try to load components after a delay
-    setTimeout(() => {
-      this.loadComponents();
-    }, 500);
+  getModelsUrl(baseUrl) {
+    return `${baseUrl.replace(/\/+$/, '')}/api/tags`;
   }
 
-  setupEventListeners() {
-    // Close button
-    const closeBtn = document.getElementById('neutral-summarizer-close-btn');
-    if (closeBtn) {
-      closeBtn.addEventListener('click', () => this.hideSidebar());
+  buildBody(requestBody) {
+    const options = {};
+    if (requestBody.temperature !== undefined) {
+      options.temperature = requestBody.temperature;
+    }
+    if (requestBody.max_completion_tokens) {
+      options.num_predict = requestBody.max_completion_tokens;
     }
 
-    // Tab switching
-    const tabs = document.querySelectorAll('.neutral-summarizer-tab');
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
-    });
+    const body = {
+      model: requestBody.model,
+      messages: requestBody.messages,
+      stream: !!requestBody.stream,
+      options: options
+    };
+
+    if (requestBody.reasoning && requestBody.reasoning.enabled === false) {
+      body.think = false;
+    }
+
+    return body;
   }
 
-  switchTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.neutral-summarizer-tab').forEach(tab => {
-      tab.classList.remove('active');
-    });
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+  async *streamEvents(response) {
+    for await (const chunk of new NDJSONStreamClient().objects(response)) {
+      if (chunk.error) {
+        throw new Error(`Stream error: ${chunk.error}`);
+      }
+      if (chunk.message && chunk.message.thinking) {
+        yield { type: 'reasoning', content: chunk.message.thinking };
+      }
+      if (chunk.message && chunk.message.content) {
+        yield { type: 'content', content: chunk.message.content };
+      }
+      if (chunk.done) {
+        yield { type: 'finish', reason: chunk.done_reason || 'stop' };
+        yield { type: 'usage', usage: this.getOllamaUsage(chunk) };
+        return;
+      }
+    }
+  }
 
-    // Update tab content
-    document.querySelectorAll('#neutral-summarizer-tab-content').forEach(content => {
-      content.classList.remove('active');
+  parseResponse(data) {
+    return {
+      content: (data.message && data.message.content) || '',
+      finishReason: data.done_reason || null,
+      usage: this.getOllamaUsage(data)
+    };
+  }
+
+  getOllamaUsage(data) {
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+}
+
+// Conversation memory for the sidebar chat
+class ConversationManager {
+  constructor() {
+    this.reset();
+  }
+
+  reset(systemPrompt = '') {
+    this.id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.createdAt = Date.now();
+    this.pageUrl = window.location.href;
+    this.systemPrompt = systemPrompt;
+    this.turns = [];
+    this.pageTextDropped = false;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      createdAt: this.createdAt,
+      pageUrl: this.pageUrl,
+      systemPrompt: this.systemPrompt,
+      turns: this.turns
+    };
+  }
+
+  load(data) {
+    this.id = data.id;
+    this.createdAt = data.createdAt;
+    this.pageUrl = data.pageUrl;
+    this.systemPrompt = data.systemPrompt || '';
+    this.turns = data.turns || [];
+    this.pageTextDropped = !!data.pageTextDropped;
+  }
+
+  // History keeps conversations without their page text; continuing one puts the page back as context
+  restorePageContext(systemPrompt) {
+    this.systemPrompt = systemPrompt;
+    this.turns.forEach(turn => {
+      if (turn.role === 'user' && turn.pinned && !turn.content) {
+        turn.content = 'Use the page content above.';
+      }
     });
-    document.querySelector(`#neutral-summarizer-tab-content[data-tab="${tabName}"]`).classList.add('active');
+    this.pageTextDropped = false;
+  }
 
-    // Load settings when switching to Settings tab
-    if (tabName === 'settings') {
-      console.log('Switched to Settings tab, loading saved settings...');
-      this.loadCurrentSettings();
-    }
+  isEmpty() {
+    return this.turns.length === 0;
   }
 
-  loadComponents() {
+  hasTurn(turn) {
+    return this.turns.includes(turn);
+  }
+
+  getLastTurn() {
+    return this.turns[this.turns.length - 1] || null;
+  }
+
+  removeLastTurn() {
+    return this.turns.pop();
+  }
+
+  restoreTurn(turn) {
+    this.turns.push(turn);
+  }
+
+  // Remove a turn and everything after it
+  truncateFrom(turn) {
+    const index = this.turns.indexOf(turn);
+    if (index !== -1) {
+      this.turns.splice(index);
+    }
+  }
+
+  // Pinned turns (the page prompt and its summary) are never trimmed
+  addUserMessage(content, pinned = false) {
+    const turn = { role: 'user', content: content, pinned: pinned };
+    this.turns.push(turn);
+    return turn;
+  }
+
+  // Assistant turns keep every generated variant; `content` is the selected one
+  addAssistantMessage(content, pinned = false, details = {}) {
+    const turn = {
+      role: 'assistant',
+      content: content,
+      pinned: pinned,
+      variants: [{ content: content, ...details }],
+      activeVariant: 0
+    };
+    this.turns.push(turn);
+    return turn;
+  }
+
+  addVariant(turn, content, details = {}) {
+    turn.variants.push({ content: content, ...details });
+    this.selectVariant(turn, turn.variants.length - 1);
+  }
+
+  selectVariant(turn, index) {
+    if (index < 0 || index >= turn.variants.length) return;
+    turn.activeVariant = index;
+    turn.content = turn.variants[index].content;
+  }
+
+  // Rough estimate: ~4 characters per token for English text
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  // Build the messages for an API request, dropping the oldest unpinned
+  // turns until the conversation fits into the token budget.
+  // The latest turn (the question being asked) is always kept.
+  buildMessages(tokenBudget) {
+    const turns = [...this.turns];
+    const countTokens = () => turns.reduce(
+      (total, turn) => total + this.estimateTokens(turn.content),
+      this.estimateTokens(this.systemPrompt)
+    );
+
+    let totalTokens = countTokens();
+    while (totalTokens > tokenBudget) {
+      const oldestIndex = turns.findIndex((turn, index) => !turn.pinned && index < turns.length - 1);
+      if (oldestIndex === -1) break;
+
+      // Drop a whole user/assistant exchange so roles keep alternating
+      const nextTurn = turns[oldestIndex + 1];
+      const dropsExchange = turns[oldestIndex].role === 'user' && nextTurn.role === 'assistant' &&
+        !nextTurn.pinned && oldestIndex + 1 < turns.length - 1;
+      turns.splice(oldestIndex, dropsExchange ? 2 : 1);
+      totalTokens = countTokens();
+    }
+
+    const messages = turns.map(turn => ({ role: turn.role, content: turn.content }));
+    if (this.systemPrompt) {
+      messages.unshift({ role: 'system', content: this.systemPrompt });
+    }
+    return messages;
+  }
+}
+
+// Splits long content into prompt-sized chunks, preferring structural boundaries
+// (headings, then paragraphs, then lines, then sentences) over hard cuts
+class ContentChunker {
+  constructor(options = {}) {
+    this.options = {
+      maxContentLength: 65536,
+      chunkSize: 32768,
+      concurrency: 3,
+      ...options
+    };
+  }
+
+  needsChunking(content) {
+    return typeof content === 'string' && content.length > this.options.maxContentLength;
+  }
+
+  split(content, chunkSize = this.options.chunkSize) {
+    const pieces = this.splitOnBoundaries(content, chunkSize, [
+      /\n(?=#{1,6}\s)/,
+      /\n\s*\n/,
+      /\n/,
+      /(?<=[.!?])\s+/
+    ]);
+
+    // Pack the pieces greedily back into chunks of at most chunkSize characters
+    const chunks = [];
+    let current = '';
+    pieces.forEach(piece => {
+      if (current && current.length + piece.length + 2 > chunkSize) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+  }
+
+  splitOnBoundaries(text, chunkSize, separators) {
+    if (text.length <= chunkSize) {
+      return text.trim() ? [text.trim()] : [];
+    }
+
+    if (separators.length === 0) {
+      const parts = [];
+      for (let i = 0; i < text.length; i += chunkSize) {
+        parts.push(text.slice(i, i + chunkSize));
+      }
+      return parts;
+    }
+
+    const [separator, ...finer] = separators;
+    return text.split(separator)
+      .flatMap(part => this.splitOnBoundaries(part, chunkSize, finer));
+  }
+
+  // Run `worker` over every item with at most `concurrency` in flight, keeping result order
+  async mapWithConcurrency(items, worker, concurrency = this.options.concurrency) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let failed = false;
+
+    // After the first error no runner picks up another item; those requests would be billed for nothing
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+      while (!failed && nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await worker(items[index], index);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+}
+
+// Renders prompt templates: {{path.to.value}} placeholders and {{#if path}}...{{else}}...{{/if}} sections
+class PromptTemplate {
+  render(template, context) {
+    const nodes = this.parse(this.tokenize(template));
+    return this.renderNodes(nodes, context).trim();
+  }
+
+  // Returns an error message for a malformed template, or null when it parses
+  validate(template) {
+    try {
+      this.parse(this.tokenize(template));
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  tokenize(template) {
+    // Section tags on a line of their own take the whole line with them
+    const source = String(template || '').replace(/^[ \t]*(\{\{\s*(?:#if\s+[\w.]+|else|\/if)\s*\}\})[ \t]*\r?\n/gm, '$1');
+    const tagPattern = /\{\{\s*(#if\s+[\w.]+|else|\/if|[\w.]+)\s*\}\}/g;
+    const tokens = [];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+
+      const tag = match[1];
+      if (tag.startsWith('#if')) {
+        tokens.push({ type: 'if', path: tag.slice(3).trim() });
+      } else if (tag === 'else') {
+        tokens.push({ type: 'else' });
+      } else if (tag === '/if') {
+        tokens.push({ type: 'endif' });
+      } else {
+        tokens.push({ type: 'variable', path: tag });
+      }
+      lastIndex = tagPattern.lastIndex;
+    }
+
+    if (lastIndex < source.length) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return tokens;
+  }
+
+  parse(tokens) {
+    const root = [];
+    const stack = [{ node: null, nodes: root }];
+
+    tokens.forEach(token => {
+      const current = stack[stack.length - 1];
+      if (token.type === 'if') {
+        const node = { type: 'if', path: token.path, then: [], otherwise: [] };
+        current.nodes.push(node);
+        stack.push({ node, nodes: node.then });
+      } else if (token.type === 'else') {
+        if (!current.node) throw new Error('{{else}} without a matching {{#if}}');
+        current.nodes = current.node.otherwise;
+      } else if (token.type === 'endif') {
+        if (!current.node) throw new Error('{{/if}} without a matching {{#if}}');
+        stack.pop();
+      } else {
+        current.nodes.push(token);
+      }
+    });
+
+    if (stack.length > 1) {
+      throw new Error(`{{#if ${stack[stack.length - 1].node.path}}} is missing its {{/if}}`);
+    }
+    return root;
+  }
+
+  renderNodes(nodes, context) {
+    return nodes.map(node => {
+      if (node.type === 'text') return node.value;
+      if (node.type === 'variable') return this.formatValue(this.resolve(node.path, context));
+      const branch = this.isTruthy(this.resolve(node.path, context)) ? node.then : node.otherwise;
+      return this.renderNodes(branch, context);
+    }).join('');
+  }
+
+  resolve(path, context) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+  }
+
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim().length > 0;
+    return Boolean(value);
+  }
+}
+
+// Per-site overrides keyed by host pattern ("example.com", "*.example.com"); the first enabled match wins
+class SiteRules {
+  normalizeRule(rule = {}) {
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    return {
+      id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      hostPattern: String(rule.hostPattern || '').trim().toLowerCase(),
+      enabled: rule.enabled !== false,
+      contentSelectors: toList(rule.contentSelectors),
+      removeSelectors: toList(rule.removeSelectors),
+      presetId: rule.presetId || '',
+      systemPrompt: rule.systemPrompt || '',
+      modelName: rule.modelName || '',
+      profileId: rule.profileId || '',
+      autoSummarize: Boolean(rule.autoSummarize)
+    };
+  }
+
+  // "*.example.com" also covers example.com itself
+  matchesHost(pattern, hostname) {
+    if (!pattern || !hostname) return false;
+    hostname = hostname.toLowerCase();
+    if (pattern.startsWith('*.') && hostname === pattern.slice(2)) return true;
+
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(hostname);
+  }
+
+  findRule(rules, url) {
+    if (!Array.isArray(rules) || rules.length === 0) return null;
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    const rule = rules.find(candidate => candidate.enabled !== false && this.matchesHost(candidate.hostPattern, hostname));
+    return rule ? this.normalizeRule(rule) : null;
+  }
+
+  findInvalidSelector(rule) {
+    const fragment = document.createDocumentFragment();
+    return [...rule.contentSelectors, ...rule.removeSelectors].find(selector => {
+      try {
+        fragment.querySelector(selector);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    }) || null;
+  }
+
+  exportRules(rules) {
+    return JSON.stringify({ version: 1, rules: rules.map(rule => this.normalizeRule(rule)) }, null, 2);
+  }
+
+  // Accepts an exported file or a bare array of rules
+  parseImport(text) {
+    const data = JSON.parse(text);
+    const rules = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error('Expected a list of rules');
+    }
+
+    return rules
+      .map(rule => this.normalizeRule(rule))
+      .filter(rule => rule.hostPattern);
+  }
+
+  // Imported rules replace existing rules for the same host pattern
+  mergeRules(existing, imported) {
+    const merged = existing.map(rule => imported.find(candidate => candidate.hostPattern === rule.hostPattern) || rule);
+    imported.forEach(rule => {
+      if (!merged.some(candidate => candidate.hostPattern === rule.hostPattern)) {
+        merged.push(rule);
+      }
+    });
+    return merged;
+  }
+}
+
+// Guesses a page's language from <html lang> and its text; the text wins when it clearly disagrees,
+// since many sites ship a template-default lang attribute
+class LanguageDetector {
+  constructor() {
+    this.scripts = [
+      { code: 'ko', pattern: /[\uac00-\ud7af]/g },
+      { code: 'zh', pattern: /[\u4e00-\u9fff]/g },
+      { code: 'ru', pattern: /[\u0400-\u04ff]/g },
+      { code: 'ar', pattern: /[\u0600-\u06ff]/g },
+      { code: 'he', pattern: /[\u0590-\u05ff]/g },
+      { code: 'el', pattern: /[\u0370-\u03ff]/g },
+      { code: 'th', pattern: /[\u0e00-\u0e7f]/g },
+      { code: 'hi', pattern: /[\u0900-\u097f]/g }
+    ];
+    this.stopwords = {
+      en: ['the', 'and', 'of', 'to', 'is', 'that', 'in', 'for', 'with', 'are', 'was', 'this'],
+      es: ['el', 'la', 'de', 'que', 'y', 'los', 'las', 'por', 'con', 'una', 'del', 'para'],
+      fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'que', 'pour', 'dans', 'du', 'pas'],
+      de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'sich', 'den', 'auf', 'auch'],
+      pt: ['o', 'de', 'que', 'e', 'do', 'da', 'em', 'não', 'uma', 'os', 'para', 'com'],
+      it: ['il', 'di', 'che', 'e', 'la', 'per', 'non', 'una', 'sono', 'della', 'gli', 'anche'],
+      nl: ['de', 'het', 'een', 'van', 'en', 'is', 'dat', 'niet', 'op', 'voor', 'zijn', 'met'],
+      vi: ['của', 'và', 'là', 'có', 'trong', 'những', 'được', 'cho', 'với', 'không', 'các', 'người']
+    };
+  }
+
+  detect(text, declared = '') {
+    const declaredCode = String(declared || '').toLowerCase().split(/[-_]/)[0];
+    const guess = this.detectFromText(text || '');
+
+    if (guess && guess.confident && guess.code !== declaredCode) {
+      return { code: guess.code, source: 'content' };
+    }
+    if (declaredCode) {
+      return { code: declaredCode, source: 'html' };
+    }
+    return { code: guess ? guess.code : '', source: guess ? 'content' : 'unknown' };
+  }
+
+  detectFromText(text) {
+    const sample = text.slice(0, 5000);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters < 50) return null;
+
+    // Kana only appears in Japanese, which also uses the Chinese characters checked below
+    const kana = (sample.match(/[\u3040-\u30ff]/g) || []).length;
+    if (kana / letters > 0.05) {
+      return { code: 'ja', confident: true };
+    }
+
+    for (const script of this.scripts) {
+      const count = (sample.match(script.pattern) || []).length;
+      if (count / letters > 0.3) {
+        return { code: script.code, confident: true };
+      }
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(this.stopwords)
+      .map(([code, stopwords]) => ({ code, hits: words.filter(word => stopwords.includes(word)).length }))
+      .sort((a, b) => b.hits - a.hits);
+
+    const [best, second] = scores;
+    if (best.hits === 0) return null;
+    return {
+      code: best.code,
+      confident: best.hits / words.length > 0.05 && best.hits >= second.hits * 1.5
+    };
+  }
+
+  getName(code) {
+    if (!code) return '';
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+}
+
+// Maps the page's whitespace-normalized text back to DOM text nodes, so a sentence quoted by the
+// model can be found, scrolled to and highlighted even when the page's spacing differs
+class PageTextLocator {
+  constructor() {
+    this.ignoreSelector = '#neutral-summarizer-sidebar, #neutral-summarizer-overlay, script, style, noscript, textarea, select';
+    this.highlightName = 'neutral-summarizer-flash';
+  }
+
+  // Whitespace and quote marks are dropped entirely: pages differ too much in how blocks and inline
+  // tags are spaced, and models rarely keep the page's quote style
+  isIgnored(char) {
+    return /[\s'"‘’“”«»ʼ]/.test(char);
+  }
+
+  normalizeChar(char) {
+    if (/[–—]/.test(char)) return '-';
+    const lower = char.toLowerCase();
+    return lower.length === 1 ? lower : char;
+  }
+
+  normalize(text) {
+    return Array.from(String(text || ''))
+      .filter(char => !this.isIgnored(char))
+      .map(char => this.normalizeChar(char))
+      .join('');
+  }
+
+  // One entry per character of the normalized text: the text node and offset it came from
+  buildIndex(root = document.body, ignoreSelector = this.ignoreSelector) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement && node.parentElement.closest(ignoreSelector) ?
+        NodeFilter.FILTER_REJECT :
+        NodeFilter.FILTER_ACCEPT)
+    });
+
+    let text = '';
+    const positions = [];
+    let node;
+    while ((node = walker.nextNode())) {
+      const value = node.nodeValue;
+      for (let offset = 0; offset < value.length; offset++) {
+        if (this.isIgnored(value[offset])) continue;
+        text += this.normalizeChar(value[offset]);
+        positions.push({ node, offset });
+      }
+    }
+
+    return { text, positions };
+  }
+
+  // Exact match first; long quotes that were trimmed or reworded at the edges fall back to their opening words
+  find(quote, index = this.buildIndex()) {
+    const needle = this.normalize(quote).replace(/[.!?…]+$/, '');
+    if (needle.length < 8) return null;
+
+    let start = index.text.indexOf(needle);
+    let length = needle.length;
+    if (start === -1 && needle.length > 50) {
+      const head = needle.slice(0, 50);
+      start = index.text.indexOf(head);
+      length = head.length;
+    }
+    if (start === -1) return null;
+    return this.createRange(index, start, length);
+  }
+
+  // Ranges for texts that follow each other in the index, such as the sentences of a paragraph;
+  // repeated sentences map to successive occurrences. Texts that can't be found are null.
+  locateSequence(texts, index) {
+    let cursor = 0;
+    return texts.map(text => {
+      const needle = this.normalize(text);
+      const start = needle ? index.text.indexOf(needle, cursor) : -1;
+      if (start === -1) return null;
+      cursor = start + needle.length;
+      return this.createRange(index, start, needle.length);
+    });
+  }
+
+  createRange(index, start, length) {
+    const first = index.positions[start];
+    const last = index.positions[start + length - 1];
+    const range = document.createRange();
+    range.setStart(first.node, first.offset);
+    range.setEnd(last.node, Math.min(last.offset + 1, last.node.nodeValue.length));
+    return range;
+  }
+
+  supportsHighlights() {
+    return !!(window.CSS && CSS.highlights && typeof Highlight !== 'undefined');
+  }
+
+  reveal(range, duration = 2500) {
+    const element = range.startContainer.parentElement;
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    if (this.supportsHighlights()) {
+      CSS.highlights.set(this.highlightName, new Highlight(range));
+      clearTimeout(this.highlightTimer);
+      this.highlightTimer = setTimeout(() => CSS.highlights.delete(this.highlightName), duration);
+    } else if (element) {
+      element.classList.add(this.highlightName);
+      setTimeout(() => element.classList.remove(this.highlightName), duration);
+    }
+  }
+}
+
+// Lexical side of the summary check: splits an answer into statements and ranks source sentences
+// by IDF-weighted word overlap, so the model only judges a few candidate passages per statement
+class SummaryVerifier {
+  constructor(options = {}) {
+    this.options = {
+      maxStatements: 30,
+      passagesPerStatement: 3,
+      maxPassageLength: 400,
+      ...options
+    };
+    this.stopwords = new Set(('a an and are as at be been but by can could did do does for from had has have he her his how i if in ' +
+      'into is it its it\'s may might more most no not of on or our she should so than that the their them there these they this ' +
+      'those to was we were what when where which while who will with would you your also about after before over under').split(' '));
+  }
+
+  // Bullets and sentences of the answer; headings, language markers and lead-in lines are skipped
+  splitStatements(markdown) {
+    const statements = [];
+    String(markdown || '').split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || /^#/.test(trimmed) || /^=== .+ ===$/.test(trimmed) || /:$/.test(trimmed)) return;
+
+      const text = trimmed
+        .replace(/^(?:[-*+>]|\d+[.)])\s+/, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\s*\[P\d+(?:\s*,\s*P?\d+)*\]/g, '')
+        .replace(/[*_`]/g, '')
+        .trim();
+
+      this.splitSentences(text).forEach(sentence => {
+        if (sentence.length >= 20 && sentence.split(/\s+/).length >= 4) {
+          statements.push(sentence);
+        }
+      });
+    });
+    return statements.slice(0, this.options.maxStatements);
+  }
+
+  splitSentences(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+(?=[^a-z\s])|(?<=[。！？])|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+
+  splitPassages(content) {
+    const max = this.options.maxPassageLength;
+    return this.splitSentences(content).map(sentence => (sentence.length > max ? `${sentence.slice(0, max)}…` : sentence));
+  }
+
+  // Words without stopwords, with common English suffixes cut so "rates" meets "rate"
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => !this.stopwords.has(word) && (word.length > 1 || /\d/.test(word)))
+      .map(word => (word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word));
+  }
+
+  buildIndex(passages) {
+    const documents = passages.map(text => ({ text, tokens: new Set(this.tokenize(text)) }));
+    const frequency = new Map();
+    documents.forEach(doc => doc.tokens.forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+
+    const idf = (token) => Math.log(1 + documents.length / (frequency.get(token) || 1));
+    return { documents, idf };
+  }
+
+  // Score is the share of the statement's (IDF-weighted) words that appear in the passage
+  rankPassages(statement, index) {
+    const tokens = [...new Set(this.tokenize(statement))];
+    const total = tokens.reduce((sum, token) => sum + index.idf(token), 0);
+    if (total === 0) return [];
+
+    return index.documents
+      .map(doc => ({
+        text: doc.text,
+        score: tokens.reduce((sum, token) => sum + (doc.tokens.has(token) ? index.idf(token) : 0), 0) / total
+      }))
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.options.passagesPerStatement);
+  }
+
+  buildCandidates(statements, content) {
+    const index = this.buildIndex(this.splitPassages(content));
+    return statements.map((statement, i) => ({
+      id: i + 1,
+      statement,
+      passages: this.rankPassages(statement, index)
+    }));
+  }
+
+  // Letters and digits only, so evidence still matches when the model changes spacing, quotes or punctuation
+  normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  }
+
+  // Evidence counts only when it is really part of a candidate passage; the [1.2] label may be copied along
+  findEvidence(evidence, passages) {
+    const text = String(evidence || '').replace(/^\s*\[\d+\.\d+\]\s*/, '').trim();
+    const needle = this.normalize(text.replace(/…$/, ''));
+    if (needle.length < 8) return null;
+    return passages.some(item => this.normalize(item.text.replace(/…$/, '')).includes(needle)) ? text : null;
+  }
+
+  // The model's verdict is kept when it is backed by evidence from the passages (or is "unsupported");
+  // anything else falls back to the lexical score. Statements without passages can't be supported.
+  combine(candidates, judgements) {
+    const byId = new Map((Array.isArray(judgements) ? judgements : []).map(item => [Number(item && item.id), item]));
+
+    return candidates.map(candidate => {
+      const judgement = byId.get(candidate.id);
+      const best = candidate.passages[0];
+      if (candidate.passages.length === 0) {
+        return {
+          statement: candidate.statement,
+          verdict: 'unsupported',
+          evidence: '',
+          note: judgement && judgement.note ? String(judgement.note) : 'No matching passage on the page'
+        };
+      }
+
+      if (judgement && ['supported', 'partial', 'unsupported'].includes(judgement.verdict)) {
+        const evidence = this.findEvidence(judgement.evidence, candidate.passages);
+        if (judgement.verdict === 'unsupported' || evidence) {
+          return {
+            statement: candidate.statement,
+            verdict: judgement.verdict,
+            evidence: evidence || '',
+            note: String(judgement.note || '')
+          };
+        }
+      }
+
+      const score = best ? best.score : 0;
+      return {
+        statement: candidate.statement,
+        verdict: score >= 0.8 ? 'supported' : score >= 0.5 ? 'partial' : 'unsupported',
+        evidence: best && score >= 0.5 ? best.text : '',
+        note: 'Word overlap only'
+      };
+    });
+  }
+
+  countVerdicts(results) {
+    return results.reduce((counts, result) => {
+      counts[result.verdict] = (counts[result.verdict] || 0) + 1;
+      return counts;
+    }, { supported: 0, partial: 0, unsupported: 0 });
+  }
+}
+
+// Models listed by the provider's /models endpoint, cached per base URL in chrome.storage.local
+class ModelCatalog {
+  constructor() {
+    this.keyPrefix = 'modelCatalog:';
+    this.maxAge = 24 * 60 * 60 * 1000;
+  }
+
+  getKey(baseUrl) {
+    return this.keyPrefix + (baseUrl || '').replace(/\/+$/, '');
+  }
+
+  async getCached(baseUrl) {
+    const key = this.getKey(baseUrl);
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  isStale(entry) {
+    return !entry || Date.now() - entry.fetchedAt > this.maxAge;
+  }
+
+  async fetchModels(baseUrl, headers, modelsUrl = `${baseUrl.replace(/\/+$/, '')}/models`) {
+    const response = await fetch(modelsUrl, {
+      method: 'GET',
+      headers: headers
+    });
+
+    if (!response.ok) {
+      throw new Error(`Model list request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const models = (Array.isArray(data) ? data : data.data || data.models || [])
+      .map(model => this.normalizeModel(model))
+      .filter(model => model.id)
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    const entry = { baseUrl: baseUrl, fetchedAt: Date.now(), models: models };
+    await chrome.storage.local.set({ [this.getKey(baseUrl)]: entry });
+    return entry;
+  }
+
+  // OpenRouter reports context_length and per-token USD prices as strings; plain
+  // OpenAI-compatible servers often return just the id
+  normalizeModel(model) {
+    const pricing = model.pricing || {};
+    const toPerMillion = (value) => {
+      const perToken = parseFloat(value);
+      return isNaN(perToken) || perToken < 0 ? null : perToken * 1000000;
+    };
+
+    return {
+      id: model.id || model.name || '',
+      name: model.display_name || model.name || model.id || '',
+      contextLength: model.context_length || model.context_window ||
+        (model.top_provider && model.top_provider.context_length) || null,
+      pricing: {
+        prompt: toPerMillion(pricing.prompt),
+        completion: toPerMillion(pricing.completion)
+      }
+    };
+  }
+
+  findModel(models, id) {
+    return (models || []).find(model => model.id === id) || null;
+  }
+
+  search(models, query, limit = 50) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return (models || [])
+      .filter(model => {
+        const haystack = `${model.id} ${model.name}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .slice(0, limit);
+  }
+
+  formatContextLength(tokens) {
+    if (!tokens) return '';
+    return tokens >= 1000 ? `${Math.round(tokens / 1000)}K ctx` : `${tokens} ctx`;
+  }
+
+  formatPricing(pricing) {
+    if (!pricing || pricing.prompt === null || pricing.completion === null) return '';
+    if (pricing.prompt === 0 && pricing.completion === 0) return 'free';
+
+    const format = (value) => `$${value < 1 ? value.toFixed(2) : value.toFixed(value < 10 ? 2 : 0)}`;
+    return `${format(pricing.prompt)} / ${format(pricing.completion)} per 1M`;
+  }
+}
+
+// Aggregates completion usage per day, model and site in chrome.storage.local
+class UsageTracker {
+  constructor() {
+    this.keyPrefix = 'usage:';
+    this.indexKey = 'usageIndex';
+    this.retentionDays = 400;
+    // Section requests of a long document finish together; writes run one after another so none is lost
+    this.pending = Promise.resolve();
+  }
+
+  getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  emptyTotals() {
+    return { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0, unpricedRequests: 0 };
+  }
+
+  addTo(totals, usage, cost) {
+    totals.promptTokens += usage.prompt_tokens || 0;
+    totals.completionTokens += usage.completion_tokens || 0;
+    totals.requests += 1;
+    if (cost === null) {
+      totals.unpricedRequests += 1;
+    } else {
+      totals.cost += cost;
+    }
+  }
+
+  record(usage, cost, model, site) {
+    const write = this.pending.then(() => this.writeRecord(usage, cost, model, site));
+    this.pending = write.catch(() => {});
+    return write;
+  }
+
+  async writeRecord(usage, cost, model, site) {
+    const dateKey = this.getDateKey();
+    const key = this.keyPrefix + dateKey;
+    const result = await chrome.storage.local.get([key, this.indexKey]);
+    const day = result[key] || { date: dateKey, totals: this.emptyTotals(), models: {}, sites: {} };
+    // Days saved before the index existed are picked up by a one-time scan
+    const index = result[this.indexKey] || await this.getIndex();
+
+    const modelKey = model || 'unknown';
+    const siteKey = site || 'unknown';
+    day.models[modelKey] = day.models[modelKey] || this.emptyTotals();
+    day.sites[siteKey] = day.sites[siteKey] || this.emptyTotals();
+
+    this.addTo(day.totals, usage, cost);
+    this.addTo(day.models[modelKey], usage, cost);
+    this.addTo(day.sites[siteKey], usage, cost);
+
+    const update = { [key]: day };
+    if (!index.includes(key)) {
+      update[this.indexKey] = [...index, key];
+    }
+    await chrome.storage.local.set(update);
+  }
+
+  // Stored days from `fromDate` through today, oldest first; only those keys are read
+  async getDays(fromDate) {
+    const keys = [];
+    const date = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+    const todayKey = this.getDateKey();
+    while (this.getDateKey(date) <= todayKey) {
+      keys.push(this.keyPrefix + this.getDateKey(date));
+      date.setDate(date.getDate() + 1);
+    }
+
+    const items = await chrome.storage.local.get(keys);
+    return keys.filter(key => items[key]).map(key => items[key]);
+  }
+
+  // Day keys written so far; stores from before the index existed are scanned once to build it
+  async getIndex() {
+    const result = await chrome.storage.local.get(this.indexKey);
+    if (result[this.indexKey]) {
+      return result[this.indexKey];
+    }
+
+    const items = await chrome.storage.local.get(null);
+    const index = Object.keys(items).filter(key => key.startsWith(this.keyPrefix)).sort();
+    await chrome.storage.local.set({ [this.indexKey]: index });
+    return index;
+  }
+
+  // Fold several days into overall, per-model and per-site totals
+  summarize(days) {
+    const summary = { totals: this.emptyTotals(), models: {}, sites: {} };
+    const merge = (target, source) => {
+      Object.keys(target).forEach(field => {
+        target[field] += source[field] || 0;
+      });
+    };
+
+    days.forEach(day => {
+      merge(summary.totals, day.totals);
+      ['models', 'sites'].forEach(group => {
+        Object.entries(day[group]).forEach(([name, totals]) => {
+          summary[group][name] = summary[group][name] || this.emptyTotals();
+          merge(summary[group][name], totals);
+        });
+      });
+    });
+
+    return summary;
+  }
+
+  async getTodayTotals() {
+    return this.summarize(await this.getDays(new Date())).totals;
+  }
+
+  async getMonthTotals() {
+    const now = new Date();
+    return this.summarize(await this.getDays(new Date(now.getFullYear(), now.getMonth(), 1))).totals;
+  }
+
+  async prune() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - this.retentionDays);
+    const cutoffKey = this.keyPrefix + this.getDateKey(cutoff);
+
+    const index = await this.getIndex();
+    const staleKeys = index.filter(key => key < cutoffKey);
+    if (staleKeys.length > 0) {
+      await this.removeDays(staleKeys);
+    }
+  }
+
+  async clear() {
+    await this.removeDays(await this.getIndex());
+  }
+
+  // Removals go through the write queue too, so a record in flight can't bring back a removed key
+  removeDays(removedKeys) {
+    const update = this.pending.then(async () => {
+      const result = await chrome.storage.local.get(this.indexKey);
+      const index = (result[this.indexKey] || []).filter(key => !removedKeys.includes(key));
+      await chrome.storage.local.remove(removedKeys);
+      await chrome.storage.local.set({ [this.indexKey]: index });
+    });
+    this.pending = update.catch(() => {});
+    return update;
+  }
+}
+
+// Persists sidebar conversations in chrome.storage.local, grouped by normalized page URL
+class ChatHistoryStore {
+  constructor() {
+    this.keyPrefix = 'chatHistory:';
+    this.indexKey = 'chatHistoryIndex';
+    this.maxConversationsPerPage = 10;
+    this.maxPages = 100;
+    // Page text is not saved (see stripPageText), but long chats still add up, so pages are also capped
+    // by size to stay well inside the 10 MB storage.local quota shared with usage data
+    this.maxPageBytes = 1024 * 1024;
+    this.maxTotalBytes = 6 * 1024 * 1024;
+    this.pending = Promise.resolve();
+    this.trackingParams = ['fbclid', 'gclid', 'mc_cid', 'mc_eid', 'ref', 'ref_src'];
+  }
+
+  // Same page, same key: drop the hash, tracking parameters and trailing slashes
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      [...parsed.searchParams.keys()].forEach(param => {
+        if (param.startsWith('utm_') || this.trackingParams.includes(param)) {
+          parsed.searchParams.delete(param);
+        }
+      });
+      parsed.searchParams.sort();
+      const path = parsed.pathname.replace(/\/+$/, '');
+      return `${parsed.protocol}//${parsed.host.toLowerCase()}${path}${parsed.search}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  getKey(url) {
+    return this.keyPrefix + this.normalizeUrl(url);
+  }
+
+  async getPage(url) {
+    const key = this.getKey(url);
+    const result = await chrome.storage.local.get(key);
+    return result[key] || null;
+  }
+
+  async getLatestConversation(url) {
+    const page = await this.getPage(url);
+    if (!page || page.conversations.length === 0) return null;
+    return page.conversations[page.conversations.length - 1];
+  }
+
+  // Saves run one after another so the index never loses an entry
+  saveConversation(url, title, conversation) {
+    const save = this.pending.then(() => this.writeConversation(url, title, conversation));
+    this.pending = save.catch(() => {});
+    return save;
+  }
+
+  async writeConversation(url, title, conversation) {
+    const key = this.getKey(url);
+    const page = await this.getPage(url) || {
+      url: this.normalizeUrl(url),
+      pageUrl: url,
+      title: title,
+      conversations: []
+    };
+
+    const existingIndex = page.conversations.findIndex(item => item.id === conversation.id);
+    const stored = {
+      ...this.stripPageText(conversation),
+      updatedAt: Date.now()
+    };
+
+    if (existingIndex === -1) {
+      page.conversations.push(stored);
+    } else {
+      page.conversations[existingIndex] = stored;
+    }
+
+    page.title = title || page.title;
+    page.updatedAt = stored.updatedAt;
+    page.conversations = page.conversations
+      .slice(-this.maxConversationsPerPage)
+      .map(item => this.stripPageText(item));
+    while (page.conversations.length > 1 && this.getSize(page) > this.maxPageBytes) {
+      page.conversations.shift();
+    }
+
+    const index = await this.getIndex();
+    index[key] = { updatedAt: page.updatedAt, size: this.getSize(page) };
+    await this.prunePages(index, key);
+
+    try {
+      await chrome.storage.local.set({ [key]: page, [this.indexKey]: index });
+    } catch (error) {
+      // Quota reached anyway (other data grew): keep only the newest pages and try once more
+      await this.prunePages(index, key, this.maxTotalBytes / 2);
+      await chrome.storage.local.set({ [key]: page, [this.indexKey]: index });
+    }
+  }
+
+  // The page text sits in the system prompt and the pinned page prompts, and makes up most of a
+  // conversation. It is dropped here and extracted again when the conversation is continued.
+  stripPageText(conversation) {
+    if (conversation.pageTextDropped) return conversation;
+    return {
+      ...conversation,
+      systemPrompt: '',
+      pageTextDropped: true,
+      turns: conversation.turns.map(turn => (turn.role === 'user' && turn.pinned ? { ...turn, content: '' } : turn))
+    };
+  }
+
+  // Rough byte count; UTF-16 text never takes more than 3 bytes per character as UTF-8
+  getSize(value) {
+    return JSON.stringify(value).length * 3;
+  }
+
+  async deleteConversation(url, conversationId) {
+    const removal = this.pending.then(async () => {
+      const key = this.getKey(url);
+      const page = await this.getPage(url);
+      if (!page) return;
+
+      const index = await this.getIndex();
+      page.conversations = page.conversations.filter(item => item.id !== conversationId);
+      if (page.conversations.length === 0) {
+        delete index[key];
+        await chrome.storage.local.remove(key);
+        await chrome.storage.local.set({ [this.indexKey]: index });
+      } else {
+        index[key] = { updatedAt: page.updatedAt, size: this.getSize(page) };
+        await chrome.storage.local.set({ [key]: page, [this.indexKey]: index });
+      }
+    });
+    this.pending = removal.catch(() => {});
+    return removal;
+  }
+
+  // { storage key: { updatedAt, size } } for every stored page; stores from before the index existed
+  // are scanned once to build it
+  async getIndex() {
+    const result = await chrome.storage.local.get(this.indexKey);
+    if (result[this.indexKey]) {
+      return result[this.indexKey];
+    }
+
+    const items = await chrome.storage.local.get(null);
+    const index = {};
+    Object.keys(items)
+      .filter(key => key.startsWith(this.keyPrefix))
+      .forEach(key => {
+        index[key] = { updatedAt: items[key].updatedAt || 0, size: this.getSize(items[key]) };
+      });
+    await chrome.storage.local.set({ [this.indexKey]: index });
+    return index;
+  }
+
+  // All stored pages, most recently updated first. Queued behind saves, since reading may write a rebuilt index.
+  async listPages() {
+    const read = this.pending.then(() => this.getIndex());
+    this.pending = read.catch(() => {});
+    const index = await read;
+    const keys = Object.keys(index);
+    if (keys.length === 0) return [];
+
+    const items = await chrome.storage.local.get(keys);
+    return keys
+      .filter(key => items[key])
+      .map(key => items[key])
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  // Drops the least recently updated pages past the page count or total size; `keepKey` always stays
+  async prunePages(index, keepKey, maxBytes = this.maxTotalBytes) {
+    const keys = Object.keys(index).sort((a, b) => {
+      if (a === keepKey) return -1;
+      if (b === keepKey) return 1;
+      return (index[b].updatedAt || 0) - (index[a].updatedAt || 0);
+    });
+
+    let total = 0;
+    const staleKeys = keys.filter((key, position) => {
+      total += index[key].size || 0;
+      return key !== keepKey && (position >= this.maxPages || total > maxBytes);
+    });
+    if (staleKeys.length === 0) return;
+
+    staleKeys.forEach(key => delete index[key]);
+    await chrome.storage.local.remove(staleKeys);
+  }
+}
+
+class SidebarManager {
+  constructor() {
+    this.pdfHandler = new PDFHandler();
+    this.conversation = new ConversationManager();
+    this.historyStore = new ChatHistoryStore();
+    this.chunker = new ContentChunker();
+    this.settingsProfiles = [];
+    this.editingProfileId = null;
+    this.presets = [];
+    this.settingsPresets = [];
+    this.currentPresetId = null;
+    this.maxPresetDomains = 200;
+    this.promptTemplate = new PromptTemplate();
+    this.settingsTemplates = {};
+    this.editingTemplateType = 'web';
+    this.lastPageContent = null;
+    this.siteRules = new SiteRules();
+    this.siteRule = null;
+    this.settingsSiteRules = [];
+    this.autoSummarizeDelay = 1500; // Lets late-loading article text settle
+    this.autoSummarizePending = false;
+    this.pendingSelectionChat = null;
+    this.languageDetector = new LanguageDetector();
+    this.pageTextLocator = new PageTextLocator();
+    this.summaryVerifier = new SummaryVerifier();
+    this.citationParagraphs = [];
+    this.sentenceHighlights = null;
+    this.sentenceHighlightsVisible = false;
+    this.citationPattern = /\[P(\d+(?:\s*,\s*P?\d+)*)\]/g;
+    this.bilingualLayout = 'stacked';
+    this.modelCatalog = new ModelCatalog();
+    this.providerAdapters = {
+      openai: new OpenAICompatibleAdapter(),
+      anthropic: new AnthropicMessagesAdapter(),
+      local: new LocalServerAdapter(),
+      ollama: new OllamaAdapter()
+    };
+    this.providerDefaultUrls = {
+      openai: 'https://openrouter.ai/api/v1',
+      anthropic: 'https://api.anthropic.com/v1',
+      local: 'http://localhost:8080/v1',
+      ollama: 'http://localhost:11434'
+    };
+    this.sessionUsage = { promptTokens: 0, completionTokens: 0, cost: 0, hasUnknownCost: false };
+    this.usageTracker = new UsageTracker();
+    this.retryOptions = {
+      maxRetries: 3,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      retryStatuses: [408, 429, 500, 502, 503, 504, 529]
+    };
+    this.availableModels = [];
+    this.modelCatalogEntry = null;
+    this.isVisible = false;
+    this.sidebarContainer = null;
+    this.overlay = null;
+    this.activeRequest = null;
+    this.messageTurns = new WeakMap();
+    this.init();
+  }
+
+  init() {
+    this.setupMessageListener();
+    this.setupDocumentListeners();
+    this.createStyles();
+    this.loadSettings();
+    this.scheduleAutoSummarize();
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this.handleMessage(message, sender, sendResponse);
+      return true;
+    });
+  }
+
+  // Document-level listeners are added once here; the sidebar markup they act on is looked up
+  // per event because it is replaced on every injection
+  setupDocumentListeners() {
+    document.addEventListener('mousedown', (e) => {
+      const presetMenu = document.getElementById('neutral-summarizer-preset-menu');
+      if (presetMenu && (!e.target.closest || !e.target.closest('.neutral-summarizer-split-btn'))) {
+        presetMenu.classList.remove('open');
+      }
+    });
+  }
+
+  handleMessage(message, sender, sendResponse) {
+    console.log('Content script received message:', message);
+    const { type, data } = message;
+
+    switch (type) {
+      case 'TOGGLE_SIDEBAR_VISIBILITY':
+        console.log('Toggling sidebar visibility');
+        this.toggleSidebar();
+        sendResponse({ visible: this.isVisible });
+        break;
+      case 'INJECT_SIDEBAR':
+        console.log('Injecting sidebar');
+        this.injectSidebar();
+        sendResponse({ success: true });
+        break;
+      case 'UPDATE_SETTINGS':
+        console.log('Updating settings');
+        this.applySettings(data);
+        sendResponse({ success: true });
+        break;
+      case 'START_SELECTION_CHAT':
+        console.log('Starting selection chat:', data.action);
+        this.startSelectionChat(data.action, data.selection);
+        sendResponse({ success: true });
+        break;
+      default:
+        console.warn('Unknown message type in content script:', type);
+        sendResponse({ success: false, error: 'Unknown message type' });
+    }
+  }
+
+  createStyles() {
+    const styleId = 'neutral-summarizer-styles';
+    if (document.getElementById(styleId)) {
+      return;
+    }
+
+    const styles = `
+      #neutral-summarizer-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 999998;
+        display: none;
+        backdrop-filter: blur(2px);
+      }
+
+      #neutral-summarizer-sidebar {
+        position: fixed;
+        top: 0;
+        right: 0;
+        width: 400px;
+        height: 100%;
+        background: white;
+        box-shadow: -2px 0 10px rgba(0, 0, 0, 0.1);
+        z-index: 999999;
+        transition: transform 0.3s ease-in-out;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        display: flex;
+        flex-direction: column;
+        transform: translateX(100%);
+      }
+
+      #neutral-summarizer-sidebar.open {
+        transform: translateX(0);
+      }
+
+      #neutral-summarizer-sidebar-header {
+        padding: 16px;
+        border-bottom: 1px solid #e5e7eb;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        background: #f9fafb;
+      }
+
+      #neutral-summarizer-sidebar-title {
+        font-size: 16px;
+        font-weight: 600;
+        color: #1f2937;
+      }
+
+      #neutral-summarizer-header-actions {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      #neutral-summarizer-header-profile {
+        max-width: 160px;
+        padding: 4px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        background: white;
+        font-size: 13px;
+        color: #374151;
+        cursor: pointer;
+      }
+
+      #neutral-summarizer-header-profile:focus {
+        outline: none;
+        border-color: #3b82f6;
+      }
+
+      #neutral-summarizer-close-btn {
+        background: none;
+        border: none;
+        font-size: 20px;
+        cursor: pointer;
+        color: #6b7280;
+        padding: 4px;
+        border-radius: 4px;
+        transition: background-color 0.2s;
+      }
+
+      #neutral-summarizer-close-btn:hover {
+        background: #e5e7eb;
+        color: #374151;
+      }
+
+      #neutral-summarizer-highlight-toggle {
+        background: none;
+        border: 1px solid transparent;
+        font-size: 16px;
+        cursor: pointer;
+        padding: 2px 6px;
+        border-radius: 6px;
+        transition: background-color 0.2s;
+      }
+
+      #neutral-summarizer-highlight-toggle:hover {
+        background: #e5e7eb;
+      }
+
+      #neutral-summarizer-highlight-toggle.active {
+        background: #fef3c7;
+        border-color: #f59e0b;
+      }
+
+      #neutral-summarizer-highlight-legend {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 8px 16px;
+        border-bottom: 1px solid #e5e7eb;
+        background: #f9fafb;
+      }
+
+      #neutral-summarizer-highlight-legend[hidden] {
+        display: none;
+      }
+
+      #neutral-summarizer-tabs {
+        display: flex;
+        background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%);
+        height: 48px;
+        padding: 6px;
+        gap: 6px;
+        position: relative;
+        overflow: hidden;
+      }
+
+      #neutral-summarizer-tabs::before {
+        content: '';
+        position: absolute;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: linear-gradient(45deg, rgba(255, 255, 255, 0.1) 0%, rgba(255, 255, 255, 0.05) 100%);
+        pointer-events: none;
+      }
+
+      .neutral-summarizer-tab {
+        flex: 1;
+        padding: 8px 12px;
+        background: rgba(255, 255, 255, 0.15);
+        backdrop-filter: blur(10px);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 13px;
+        font-weight: 600;
+        color: rgba(255, 255, 255, 0.9);
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        text-align: center;
+        outline: none;
+        position: relative;
+        overflow: hidden;
+        text-transform: uppercase;
+        letter-spacing: 0.3px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+      }
+      
+      .neutral-summarizer-tab::before {
+        content: '';
+        position: absolute;
+        top: 0;
+        left: -100%;
+        width: 100%;
+        height: 100%;
+        background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.2), transparent);
+        transition: left 0.5s;
+      }
+      
+      .neutral-summarizer-tab:hover::before {
+        left: 100%;
+      }
+      
+      .neutral-summarizer-tab:hover {
+        background: rgba(255, 255, 255, 0.25);
+        color: white;
+        border-color: rgba(255, 255, 255, 0.3);
+        transform: translateY(-1px) scale(1.01);
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      }
+      
+      .neutral-summarizer-tab:focus {
+        outline: none;
+        box-shadow: 0 0 0 3px rgba(255, 255, 255, 0.3);
+      }
+      
+      .neutral-summarizer-tab.active {
+        background: rgba(255, 255, 255, 0.9);
+        color: #1e40af;
+        border-color: rgba(255, 255, 255, 0.4);
+        font-weight: 700;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        transform: translateY(-1px);
+      }
+      
+      .neutral-summarizer-tab.active:hover {
+        background: white;
+        color: #1e40af;
+        transform: translateY(-1px) scale(1.01);
+        box-shadow: 0 6px 16px rgba(0, 0, 0, 0.25);
+      }
+      
+      .neutral-summarizer-tab:active {
+        transform: translateY(-1px) scale(0.98);
+      }
+
+      .neutral-summarizer-tab .tab-icon {
+        margin-right: 6px;
+        font-size: 14px;
+      }
+
+      #neutral-summarizer-content {
+        flex: 1;
+        overflow-y: auto;
+        padding: 16px;
+      }
+
+      #neutral-summarizer-tab-content {
+        display: none;
+      }
+
+      #neutral-summarizer-tab-content.active {
+        display: block;
+      }
+
+      .neutral-summarizer-empty-state {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        text-align: center;
+        padding: 60px 20px;
+        background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
+        border-radius: 16px;
+        margin: 20px;
+        color: #64748b;
+        min-height: 400px;
+        position: relative;
+        overflow: hidden;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.05);
+      }
+
+      .neutral-summarizer-empty-state::before {
+        content: '';
+        position: absolute;
+        top: -50%;
+        left: -50%;
+        width: 200%;
+        height: 200%;
+        background: radial-gradient(circle, rgba(255, 255, 255, 0.1) 0%, transparent 70%);
+        animation: float 20s infinite linear;
+      }
+
+      @keyframes float {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+
+      .neutral-summarizer-empty-state .neutral-summarizer-empty-icon {
+        font-size: 64px;
+        margin-bottom: 24px;
+        opacity: 0.8;
+        animation: bounce 2s infinite;
+        filter: drop-shadow(0 4px 8px rgba(0, 0, 0, 0.1));
+      }
+
+      @keyframes bounce {
+        0%, 20%, 50%, 80%, 100% { transform: translateY(0); }
+        40% { transform: translateY(-10px); }
+        60% { transform: translateY(-5px); }
+      }
+
+      .neutral-summarizer-empty-state h3 {
+        font-size: 20px;
+        font-weight: 700;
+        color: #1e293b;
+        margin: 0 0 12px 0;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+        background: linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%);
+        -webkit-background-clip: text;
+        -webkit-text-fill-color: transparent;
+        background-clip: text;
+      }
+
+      .neutral-summarizer-empty-state p {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) + 2px);
+        margin: 0;
+        line-height: 1.6;
+        color: #64748b;
+        font-weight: 400;
+        max-width: 280px;
+      }
+
+      .neutral-summarizer-empty-state .shimmer {
+        position: relative;
+        overflow: hidden;
+        margin-top: 20px;
+        padding: 8px 16px;
+        background: linear-gradient(90deg, #e2e8f0 25%, #f1f5f9 50%, #e2e8f0 75%);
+        background-size: 200% 100%;
+        animation: shimmer 1.5s infinite;
+        border-radius: 20px;
+        color: #94a3b8;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        font-weight: 500;
+      }
+
+      @keyframes shimmer {
+        0% { background-position: -200% 0; }
+        100% { background-position: 200% 0; }
+      }
+    `;
+
+    const styleElement = document.createElement('style');
+    styleElement.id = styleId;
+    styleElement.textContent = styles;
+    document.head.appendChild(styleElement);
+  }
+
+  toggleSidebar() {
+    if (this.isVisible) {
+      this.hideSidebar();
+    } else {
+      this.showSidebar();
+    }
+  }
+
+  showSidebar() {
+    if (!this.sidebarContainer) {
+      this.injectSidebar();
+    }
+
+    this.overlay.style.display = 'block';
+    this.sidebarContainer.classList.add('open');
+    this.isVisible = true;
+    this.setActionBadge('clear');
+    
+    // Apply saved sidebar width when showing sidebar
+    this.applySidebarWidth();
+  }
+
+  hideSidebar() {
+    if (this.overlay) {
+      this.overlay.style.display = 'none';
+    }
+    if (this.sidebarContainer) {
+      this.sidebarContainer.classList.remove('open');
+    }
+    this.isVisible = false;
+  }
+
+  injectSidebar() {
+    if (this.sidebarContainer) {
+      return;
+    }
+
+    console.log('Creating sidebar DOM elements...');
+
+    // Create overlay
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'neutral-summarizer-overlay';
+    this.overlay.addEventListener('click', () => this.hideSidebar());
+    document.body.appendChild(this.overlay);
+    console.log('Overlay created');
+
+    // Create sidebar container
+    this.sidebarContainer = document.createElement('div');
+    this.sidebarContainer.id = 'neutral-summarizer-sidebar';
+
+    // Create sidebar structure
+    this.sidebarContainer.innerHTML = `
+      <div id="neutral-summarizer-sidebar-header">
+        <div id="neutral-summarizer-sidebar-title">Neutral Summarizer</div>
+        <div id="neutral-summarizer-header-actions">
+          <select id="neutral-summarizer-header-profile" title="Provider profile"></select>
+          <button id="neutral-summarizer-highlight-toggle" title="Color facts and opinions on the page">🖍️</button>
+          <button id="neutral-summarizer-close-btn" title="Close sidebar">✕</button>
+        </div>
+      </div>
+      <div id="neutral-summarizer-highlight-legend" hidden></div>
+      
+      <div id="neutral-summarizer-tabs">
+        <button class="neutral-summarizer-tab active" data-tab="content">
+          <span class="tab-icon">💬</span>
+          Content
+        </button>
+        <button class="neutral-summarizer-tab" data-tab="history">
+          <span class="tab-icon">🕘</span>
+          History
+        </button>
+        <button class="neutral-summarizer-tab" data-tab="settings">
+          <span class="tab-icon">⚙️</span>
+          Settings
+        </button>
+      </div>
+      
+      <div id="neutral-summarizer-content">
+        <div id="neutral-summarizer-tab-content" class="active" data-tab="content">
+          <div id="neutral-summarizer-chat-container">
+            <div class="neutral-summarizer-empty-state">
+              <div class="neutral-summarizer-empty-icon">💬</div>
+              <h3>Chat Interface</h3>
+              <p>Components will be loaded here...</p>
+            </div>
+          </div>
+        </div>
+        <div id="neutral-summarizer-tab-content" data-tab="history">
+          <div id="neutral-summarizer-history-container">
+            <input type="search" id="neutral-summarizer-history-search" placeholder="Search conversations...">
+            <div id="neutral-summarizer-history-list"></div>
+          </div>
+        </div>
+        <div id="neutral-summarizer-tab-content" data-tab="settings">
+          <div id="neutral-summarizer-settings-container">
+            <div class="neutral-summarizer-empty-state">
+              <div class="neutral-summarizer-empty-icon">⚙️</div>
+              <h3>Settings Interface</h3>
+              <p>Settings will be loaded here...</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.sidebarContainer);
+    console.log('Sidebar container created and added to DOM');
+
+    // Add event listeners
+    this.setupEventListeners();
+    console.log('Event listeners set up');
+
+    // Load basic styles first, then try components
+    this.loadComponentStyles();
+    
+    // Try to load components after a delay
+    setTimeout(() => {
+      this.loadComponents();
+    }, 500);
+  }
+
+  setupEventListeners() {
+    // Close button
+    const headerProfile = document.getElementById('neutral-summarizer-header-profile');
+    if (headerProfile) {
+      headerProfile.addEventListener('change', () => this.switchProfile(headerProfile.value));
+    }
+
+    const closeBtn = document.getElementById('neutral-summarizer-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hideSidebar());
+    }
+
+    const highlightToggle = document.getElementById('neutral-summarizer-highlight-toggle');
+    if (highlightToggle) {
+      highlightToggle.addEventListener('click', () => this.toggleSentenceHighlights());
+    }
+
+    // Tab switching
+    const tabs = document.querySelectorAll('.neutral-summarizer-tab');
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
+    });
+
+    // History search
+    const historySearch = document.getElementById('neutral-summarizer-history-search');
+    if (historySearch) {
+      historySearch.addEventListener('input', () => this.renderHistory());
+    }
+  }
+
+  switchTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.neutral-summarizer-tab').forEach(tab => {
+      tab.classList.remove('active');
+    });
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+
+    // Update tab content
+    document.querySelectorAll('#neutral-summarizer-tab-content').forEach(content => {
+      content.classList.remove('active');
+    });
+    document.querySelector(`#neutral-summarizer-tab-content[data-tab="${tabName}"]`).classList.add('active');
+
+    // Load settings when switching to Settings tab
+    if (tabName === 'settings') {
+      console.log('Switched to Settings tab, loading saved settings...');
+      this.loadCurrentSettings();
+      this.renderUsageDashboard();
+    }
+
+    if (tabName === 'history') {
+      this.renderHistory();
+    }
+  }
+
+  loadComponents() {
     console.log('Loading components...');
     try {
-      // Load chat interface
-      const chatContainer = document.getElementById('neutral-summarizer-chat-container');
-      if (chatContainer) {
-        console.log('Setting up chat interface...');
-        chatContainer.innerHTML = `
-          <div class="neutral-summarizer-chat-actions">
-            <button id="neutral-summarizer-summarize-btn" class="neutral-summarizer-btn primary">
-              <span class="neutral-summarizer-btn-icon">📄</span>
-              Summarize Page
-            </button>
-            <button id="neutral-summarizer-clear-btn" class="neutral-summarizer-btn secondary">
-              <span class="neutral-summarizer-btn-icon">🗑️</span>
-              Clear Chat
-            </button>
-          </div>
-          
-          <div id="neutral-summarizer-chat-messages"></div>
-          
-          <div class="neutral-summarizer-chat-input-container">
-            <textarea id="neutral-summarizer-chat-input" placeholder="Ask about the page content..."></textarea>
-            <button id="neutral-summarizer-send-btn">
-              <span class="neutral-summarizer-btn-icon">📤</span>
-              Send
-            </button>
-          </div>
-        `;
-        
-        // Set up chat event listeners
-        this.setupChatEventListeners();
+      // Load chat interface
+      const chatContainer = document.getElementById('neutral-summarizer-chat-container');
+      if (chatContainer) {
+        console.log('Setting up chat interface...');
+        chatContainer.innerHTML = `
+          <div class="neutral-summarizer-chat-actions">
+            <div class="neutral-summarizer-split-btn">
+              <button id="neutral-summarizer-summarize-btn" class="neutral-summarizer-btn primary" title="Summarize Page">
+                <span class="neutral-summarizer-btn-icon">📄</span>
+                <span id="neutral-summarizer-summarize-label">Summarize Page</span>
+              </button>
+              <button id="neutral-summarizer-preset-toggle" class="neutral-summarizer-btn primary" title="Choose a summary preset">▾</button>
+              <div id="neutral-summarizer-preset-menu"></div>
+            </div>
+            <button id="neutral-summarizer-clear-btn" class="neutral-summarizer-btn secondary">
+              <span class="neutral-summarizer-btn-icon">🗑️</span>
+              Clear Chat
+            </button>
+          </div>
+          
+          <div class="neutral-summarizer-analysis-actions">
+            <button id="neutral-summarizer-neutrality-btn" class="neutral-summarizer-btn secondary" title="Score the page for loaded language, unsupported claims, balance and attribution">
+              <span class="neutral-summarizer-btn-icon">⚖️</span>
+              Neutrality Report
+            </button>
+            <button id="neutral-summarizer-claims-btn" class="neutral-summarizer-btn secondary" title="List every factual claim with its type, attribution and source sentence">
+              <span class="neutral-summarizer-btn-icon">📋</span>
+              Claims
+            </button>
+          </div>
+          
+          <div id="neutral-summarizer-chat-messages"></div>
+          
+          <div id="neutral-summarizer-session-usage"></div>
+          
+          <div class="neutral-summarizer-chat-input-container">
+            <textarea id="neutral-summarizer-chat-input" placeholder="Ask about the page content..."></textarea>
+            <button id="neutral-summarizer-send-btn">
+              <span class="neutral-summarizer-btn-icon">📤</span>
+              Send
+            </button>
+          </div>
+        `;
+        
+        // Set up chat event listeners
+        this.setupChatEventListeners();
+
+        // Bring back the last conversation held on this page
+        this.startPageSession();
+        this.renderSessionUsage();
+        this.loadDomainPreset();
+      }
+
+      // Load settings interface
+      const settingsContainer = document.getElementById('neutral-summarizer-settings-container');
+      if (settingsContainer) {
+        console.log('Setting up settings interface...');
+        settingsContainer.innerHTML = `
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🗂️ Provider Profiles</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-profile-select">
+                  <span class="neutral-summarizer-label-icon">🔀</span>
+                  Active Profile
+                </label>
+                <div class="neutral-summarizer-inline-controls">
+                  <select id="neutral-summarizer-profile-select"></select>
+                  <button id="neutral-summarizer-profile-add" class="neutral-summarizer-btn secondary" title="Create a profile from the current values">➕ New</button>
+                  <button id="neutral-summarizer-profile-delete" class="neutral-summarizer-btn secondary" title="Delete this profile">🗑️</button>
+                </div>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  The provider type, URL, API key, models, temperature, max tokens and extra headers below belong to the selected profile
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-profile-name">
+                  <span class="neutral-summarizer-label-icon">🏷️</span>
+                  Profile Name
+                </label>
+                <input type="text" id="neutral-summarizer-profile-name" placeholder="OpenRouter">
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🔌 API Configuration</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-provider-type">
+                  <span class="neutral-summarizer-label-icon">🧩</span>
+                  Provider Type
+                </label>
+                <select id="neutral-summarizer-provider-type">
+                  <option value="openai">OpenAI-compatible (Chat Completions)</option>
+                  <option value="anthropic">Anthropic (Messages API)</option>
+                  <option value="local">Local OpenAI-compatible server (llama.cpp, LM Studio), no key needed</option>
+                  <option value="ollama">Ollama (native API), no key needed</option>
+                </select>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-base-url">
+                  <span class="neutral-summarizer-label-icon">🌐</span>
+                  Base OpenAI Compatible URL
+                </label>
+                <input type="url" id="neutral-summarizer-base-url" placeholder="https://openrouter.ai/api/v1" value="https://openrouter.ai/api/v1">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-api-key">
+                  <span class="neutral-summarizer-label-icon">🔑</span>
+                  API Key
+                </label>
+                <input type="password" id="neutral-summarizer-api-key" placeholder="Enter your API key">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-extra-headers">
+                  <span class="neutral-summarizer-label-icon">📨</span>
+                  Extra Headers
+                </label>
+                <textarea id="neutral-summarizer-extra-headers" rows="3" placeholder="X-Gateway-Team: research"></textarea>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  One "Name: value" per line, sent with every completion request of this profile
+                </small>
+              </div>
+              
+
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-dumpling-key">
+                  <span class="neutral-summarizer-label-icon">🥟</span>
+                  DumplingAI API Key
+                </label>
+                <input type="password" id="neutral-summarizer-dumpling-key" placeholder="Enter DumplingAI API key">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-dumpling-url">
+                  <span class="neutral-summarizer-label-icon">🌐</span>
+                  Dumpling API URL
+                </label>
+                <input type="url" id="neutral-summarizer-dumpling-url" placeholder="https://app.dumplingai.com/api/v1" value="https://app.dumplingai.com/api/v1">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-pdf2markdown-url">
+                  <span class="neutral-summarizer-label-icon">📄</span>
+                  PDF2Markdown API URL
+                </label>
+                <input type="url" id="neutral-summarizer-pdf2markdown-url" placeholder="https://xtomd.vercel.app/api" value="https://xtomd.vercel.app/api">
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🤖 Model Configuration</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-model-name">
+                  <span class="neutral-summarizer-label-icon">🧠</span>
+                  Model Name
+                </label>
+                <div class="neutral-summarizer-inline-controls">
+                  <div class="neutral-summarizer-model-picker">
+                    <input type="text" id="neutral-summarizer-model-name" placeholder="qwen/qwen3-235b-a22b-2507" value="qwen/qwen3-235b-a22b-2507" autocomplete="off">
+                    <div id="neutral-summarizer-model-options"></div>
+                  </div>
+                  <button id="neutral-summarizer-refresh-models" class="neutral-summarizer-btn secondary" title="Reload the model list from the provider">🔄</button>
+                </div>
+                <small id="neutral-summarizer-model-status" style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Type to search the provider's models, or enter any model id
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-fallback-models">
+                  <span class="neutral-summarizer-label-icon">🛟</span>
+                  Fallback Models
+                </label>
+                <textarea id="neutral-summarizer-fallback-models" rows="3" placeholder="openai/gpt-4o-mini"></textarea>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  One model id per line, tried in order when the model above keeps failing or is overloaded
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-temperature">
+                  <span class="neutral-summarizer-label-icon">🌡️</span>
+                  Temperature: <span id="neutral-summarizer-temperature-value">0.3</span>
+                </label>
+                <input type="range" id="neutral-summarizer-temperature" min="0" max="2" step="0.1" value="0.3">
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Controls randomness: Lower values (0.0-0.5) for more focused responses, higher values (0.5-2.0) for more creative responses
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-reasoning-mode">
+                  <span class="neutral-summarizer-label-icon">💭</span>
+                  Reasoning Tokens
+                </label>
+                <select id="neutral-summarizer-reasoning-mode">
+                  <option value="show">Show in a collapsible block</option>
+                  <option value="hide">Hide</option>
+                  <option value="skip">Ask the provider to skip reasoning</option>
+                </select>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Reasoning models stream their thinking before the answer. Skipping it is faster and cheaper where the model supports it
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-max-tokens">
+                  <span class="neutral-summarizer-label-icon">📐</span>
+                  Max Response Tokens
+                </label>
+                <input type="number" id="neutral-summarizer-max-tokens" min="256" step="256" value="4096">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-model-prices">
+                  <span class="neutral-summarizer-label-icon">💲</span>
+                  Model Prices (USD per 1M tokens)
+                </label>
+                <textarea id="neutral-summarizer-model-prices" rows="3" placeholder="openai/gpt-4o-mini = 0.15 / 0.60"></textarea>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  "model = input / output" per line. Only needed when the provider's model list has no pricing
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-context-window">
+                  <span class="neutral-summarizer-label-icon">🧮</span>
+                  Context Window (tokens)
+                </label>
+                <input type="number" id="neutral-summarizer-context-window" min="8192" step="1024" value="65536">
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Older follow-up questions are dropped from the conversation when it grows beyond this size
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-system-prompt">
+                  <span class="neutral-summarizer-label-icon">📝</span>
+                  System Prompt
+                </label>
+                <textarea id="neutral-summarizer-system-prompt" rows="8" placeholder="Enter system prompt...">You are a helpful assistant that summarizes web pages. 
+Please provide a concise, neutral summary of the content provided. 
+Focus on the main points and key information.
+Make sure you separate between information and opinions.
+Breakdown them in two separated sessions: "Information" and "Opinions from writer"
+Use markdown format for users to read.
+Notes:
+* If user asks following questions after the summary, just answer them based on available information. You don't need to include "Opinions from writer" session anymore.
+* Show the most important information first</textarea>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🌍 Language</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-output-language-mode">
+                  <span class="neutral-summarizer-label-icon">🗣️</span>
+                  Answer Language
+                </label>
+                <select id="neutral-summarizer-output-language-mode">
+                  <option value="page">Same as the page</option>
+                  <option value="browser">Browser language</option>
+                  <option value="fixed">A fixed language</option>
+                </select>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-output-language">
+                  <span class="neutral-summarizer-label-icon">🔤</span>
+                  Fixed Language
+                </label>
+                <input type="text" id="neutral-summarizer-output-language" list="neutral-summarizer-language-list" placeholder="English">
+                <datalist id="neutral-summarizer-language-list">
+                  <option value="English"></option>
+                  <option value="Spanish"></option>
+                  <option value="French"></option>
+                  <option value="German"></option>
+                  <option value="Portuguese"></option>
+                  <option value="Italian"></option>
+                  <option value="Dutch"></option>
+                  <option value="Vietnamese"></option>
+                  <option value="Japanese"></option>
+                  <option value="Korean"></option>
+                  <option value="Chinese"></option>
+                  <option value="Russian"></option>
+                  <option value="Arabic"></option>
+                </datalist>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Used when "A fixed language" is selected, and as your language for bilingual summaries
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-bilingual-mode">
+                  <span class="neutral-summarizer-label-icon">🌐</span>
+                  Bilingual Summaries
+                </label>
+                <select id="neutral-summarizer-bilingual-mode">
+                  <option value="off">Off</option>
+                  <option value="stacked">Page language and mine, stacked</option>
+                  <option value="side-by-side">Page language and mine, side by side</option>
+                </select>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Only applies to pages written in a language other than yours
+                </small>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>📝 Summary Presets</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);">
+                Presets shape the summary only; follow-up chat keeps using the system prompt. The first preset is the default on new sites.
+              </small>
+              <div id="neutral-summarizer-preset-list"></div>
+              <div class="neutral-summarizer-settings-group">
+                <button id="neutral-summarizer-preset-add" class="neutral-summarizer-btn secondary">
+                  <span class="neutral-summarizer-btn-icon">➕</span>
+                  Add Preset
+                </button>
+              </div>
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-citations">
+                  <input type="checkbox" id="neutral-summarizer-citations">
+                  Cite page paragraphs in summaries
+                </label>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);">
+                  Paragraphs are numbered in the prompt; click a citation chip to scroll to the paragraph it came from.
+                </small>
+              </div>
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-verify-summaries">
+                  <input type="checkbox" id="neutral-summarizer-verify-summaries">
+                  Check every summary against the page
+                </label>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);">
+                  A second request marks each statement as supported (✓), partly supported (~) or not found (✗). Any answer can also be checked with 🔍 Verify.
+                </small>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🧾 Prompt Templates</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-template-type">
+                  <span class="neutral-summarizer-label-icon">📂</span>
+                  Content Type
+                </label>
+                <div class="neutral-summarizer-inline-controls">
+                  <select id="neutral-summarizer-template-type">
+                    <option value="web">Web page</option>
+                    <option value="youtube">YouTube video</option>
+                    <option value="pdf">PDF document</option>
+                  </select>
+                  <button id="neutral-summarizer-template-reset" class="neutral-summarizer-btn secondary" title="Restore the built-in template">↺ Reset</button>
+                </div>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-template-text">
+                  <span class="neutral-summarizer-label-icon">✏️</span>
+                  Summary Prompt Template
+                </label>
+                <textarea id="neutral-summarizer-template-text" rows="10"></textarea>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  Variables: {{title}}, {{url}}, {{content}}, {{selection}}, {{language}} (answer language), {{pageLanguage}}, {{contentType}}, {{meta.description}}, {{meta.author}}, {{meta.publish_date}}, {{youtube.transcript}}, {{youtube.channel}}, {{youtube.views}}, {{youtube.description}}, {{youtube.comments}}, {{sections.count}}, {{preset.name}}, {{preset.instructions}}.
+                  Sections: {{#if meta.author}}…{{else}}…{{/if}}
+                </small>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label>
+                  <span class="neutral-summarizer-label-icon">👁️</span>
+                  Preview
+                </label>
+                <pre id="neutral-summarizer-template-preview"></pre>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🌐 Site Rules</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);">
+                Rules match a host such as <code>docs.python.org</code> or <code>*.reddit.com</code>; the first enabled match wins and overrides the settings above on that site.
+              </small>
+              <div id="neutral-summarizer-site-rule-list"></div>
+              <div class="neutral-summarizer-inline-controls">
+                <button id="neutral-summarizer-site-rule-add" class="neutral-summarizer-btn secondary" title="Add a rule for this site">➕ Add Rule</button>
+                <button id="neutral-summarizer-site-rule-export" class="neutral-summarizer-btn secondary" title="Download the rules as JSON">📤 Export</button>
+                <button id="neutral-summarizer-site-rule-import" class="neutral-summarizer-btn secondary" title="Load rules from a JSON file">📥 Import</button>
+                <input type="file" id="neutral-summarizer-site-rule-file" accept=".json,application/json" hidden>
+              </div>
+              <small id="neutral-summarizer-site-rule-status"></small>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>⚡ Auto-Summarize</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-auto-summarize-domains">
+                  <span class="neutral-summarizer-label-icon">✅</span>
+                  Summarize Automatically On
+                </label>
+                <textarea id="neutral-summarizer-auto-summarize-domains" rows="4" placeholder="news.example.com&#10;*.example.org"></textarea>
+                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
+                  One host pattern per line. Pages on these sites are summarized as soon as they load; the toolbar icon shows a badge when the summary is ready. Site rules with "Auto-summarize" checked count too.
+                </small>
+              </div>
+              <div class="neutral-summarizer-settings-group">
+                <button id="neutral-summarizer-auto-summarize-add" class="neutral-summarizer-btn secondary">
+                  <span class="neutral-summarizer-btn-icon">➕</span>
+                  Add This Site
+                </button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>📊 Usage</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-usage-range">
+                  <span class="neutral-summarizer-label-icon">📅</span>
+                  Period
+                </label>
+                <select id="neutral-summarizer-usage-range">
+                  <option value="7">Last 7 days</option>
+                  <option value="30">Last 30 days</option>
+                  <option value="month">This month</option>
+                </select>
+              </div>
+              
+              <div id="neutral-summarizer-usage-dashboard"></div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label>
+                  <span class="neutral-summarizer-label-icon">🚦</span>
+                  Budgets (0 = no limit)
+                </label>
+                <div class="neutral-summarizer-budget-grid">
+                  <span></span><span>Tokens</span><span>Spend (USD)</span>
+                  <span>Daily</span>
+                  <input type="number" id="neutral-summarizer-daily-token-cap" min="0" step="1000" value="0">
+                  <input type="number" id="neutral-summarizer-daily-spend-cap" min="0" step="0.5" value="0">
+                  <span>Monthly</span>
+                  <input type="number" id="neutral-summarizer-monthly-token-cap" min="0" step="1000" value="0">
+                  <input type="number" id="neutral-summarizer-monthly-spend-cap" min="0" step="0.5" value="0">
+                </div>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-budget-action">
+                  <span class="neutral-summarizer-label-icon">🛑</span>
+                  When a Budget Is Reached
+                </label>
+                <select id="neutral-summarizer-budget-action">
+                  <option value="warn">Warn, but keep answering</option>
+                  <option value="block">Block new summarize and chat requests</option>
+                </select>
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <button id="neutral-summarizer-clear-usage" class="neutral-summarizer-btn secondary">
+                  <span class="neutral-summarizer-btn-icon">🧹</span>
+                  Clear Usage Data
+                </button>
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-section">
+            <div class="neutral-summarizer-section-header">
+              <h4>🎨 Appearance</h4>
+            </div>
+            <div class="neutral-summarizer-settings-form">
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-sidebar-width">
+                  <span class="neutral-summarizer-label-icon">📏</span>
+                  Sidebar Width: <span id="neutral-summarizer-width-value">400px</span>
+                </label>
+                <input type="range" id="neutral-summarizer-sidebar-width" min="300" max="800" value="400">
+              </div>
+              
+              <div class="neutral-summarizer-settings-group">
+                <label for="neutral-summarizer-font-size">
+                  <span class="neutral-summarizer-label-icon">🔤</span>
+                  Font Size: <span id="neutral-summarizer-font-value">14px</span>
+                </label>
+                <input type="range" id="neutral-summarizer-font-size" min="10" max="24" value="14">
+              </div>
+            </div>
+          </div>
+          
+          <div class="neutral-summarizer-settings-actions">
+            <button id="neutral-summarizer-save-settings" class="neutral-summarizer-btn primary">
+              <span class="neutral-summarizer-btn-icon">💾</span>
+              Save Settings
+            </button>
+          </div>
+        `;
+        
+        // Set up settings event listeners
+        this.setupSettingsEventListeners();
+        
+        // Load saved settings into the form
+        setTimeout(() => {
+          this.loadSettingsIntoForm({});
+        }, 100);
+        setTimeout(() => {
+          this.loadSettingsIntoForm({});
+        }, 300);
+        setTimeout(() => {
+          this.loadSettingsIntoForm({});
+        }, 600);
+      }
+
+      // Load additional styles for components
+      this.loadComponentStyles();
+      
+      console.log('All components loaded successfully');
+
+    } catch (error) {
+      console.error('Error loading components:', error);
+    }
+  }
+
+  loadComponentStyles() {
+    const styles = `
+      .neutral-summarizer-chat-section {
+        margin-bottom: 20px;
+        background: white;
+        border-radius: 8px;
+        overflow: hidden;
+        border: 1px solid #e5e7eb;
+      }
+
+      .neutral-summarizer-section-header {
+        padding: 12px 16px;
+        background: #f8fafc;
+        border-bottom: 1px solid #e5e7eb;
+      }
+
+      .neutral-summarizer-section-header h4 {
+        margin: 0;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .neutral-summarizer-chat-container {
+        display: flex;
+        flex-direction: column;
+        height: 100%;
+        min-height: 0;
+      }
+
+      .neutral-summarizer-chat-actions {
+        display: flex;
+        gap: 8px;
+        padding: 12px;
+        flex-shrink: 0;
+      }
+      
+      .neutral-summarizer-btn {
+        flex: 1;
+        padding: 10px 16px;
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        font-weight: 500;
+        transition: all 0.2s;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 6px;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      }
+
+      .neutral-summarizer-btn-icon {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) + 2px);
+      }
+      
+      .neutral-summarizer-btn.primary {
+        background: #3b82f6;
+        color: white;
+      }
+      
+      .neutral-summarizer-btn.primary:hover {
+        background: #2563eb;
+      }
+      
+      .neutral-summarizer-btn.secondary {
+        background: #e5e7eb;
+        color: #374151;
+      }
+      
+      .neutral-summarizer-btn.secondary:hover {
+        background: #d1d5db;
+      }
+      
+      #neutral-summarizer-chat-messages {
+        flex: 1;
+        overflow-y: auto;
+        padding: 20px;
+        background: #fafbfc;
+        border-radius: 8px;
+        margin: 0 12px 12px 12px;
+        min-height: 300px;
+        display: flex;
+        flex-direction: column;
+      }
+
+      #neutral-summarizer-session-usage {
+        margin: -6px 12px 8px 12px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        color: #6b7280;
+        text-align: right;
+      }
+
+      #neutral-summarizer-session-usage:empty {
+        display: none;
+      }
+
+      #neutral-summarizer-chat-messages::-webkit-scrollbar {
+        width: 8px;
+      }
+
+      #neutral-summarizer-chat-messages::-webkit-scrollbar-track {
+        background: #f1f1f1;
+        border-radius: 4px;
+      }
+
+      #neutral-summarizer-chat-messages::-webkit-scrollbar-thumb {
+        background: #c1c1c1;
+        border-radius: 4px;
+      }
+
+      #neutral-summarizer-chat-messages::-webkit-scrollbar-thumb:hover {
+        background: #a8a8a8;
+      }
+      
+      .neutral-summarizer-message {
+        margin-bottom: 16px;
+        padding: 14px 18px;
+        border-radius: 8px;
+        line-height: 1.5;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        position: relative;
+        animation: fadeIn 0.3s ease-in;
+        flex-shrink: 0;
+      }
+
+      @keyframes fadeIn {
+        from { opacity: 0; transform: translateY(4px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+      
+      .neutral-summarizer-message.user {
+        background: #dbeafe;
+        margin-left: 20px;
+        color: black;
+      }
+      
+      .neutral-summarizer-message.ai {
+        background: #f3f4f6;
+        margin-right: 20px;
+        color: black;
+      }
+      
+      .neutral-summarizer-message.error {
+        background: #fee2e2;
+        color: #dc2626;
+        border: 1px solid #fecaca;
+        color: black;
+      }
+      
+      .neutral-summarizer-message.loading {
+        background: #f3f4f6;
+        color: #6b7280;
+        font-style: italic;
+        color: black;
+      }
+      
+      .neutral-summarizer-chat-input-container {
+        display: flex;
+        gap: 8px;
+        padding: 12px;
+        flex-shrink: 0;
+      }
+      
+      #neutral-summarizer-chat-input {
+        flex: 1;
+        padding: 12px 16px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        resize: vertical;
+        min-height: 44px;
+        max-height: 120px;
+        font-family: inherit;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        line-height: 1.4;
+        background: #fafbfc;
+        transition: all 0.2s;
+      }
+
+      #neutral-summarizer-chat-input:focus {
+        background: white;
+        border-color: #3b82f6;
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+      }
+      
+      #neutral-summarizer-chat-input:focus {
+        outline: none;
+        border-color: #3b82f6;
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+      }
+      
+      #neutral-summarizer-send-btn {
+        padding: 12px 16px;
+        background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%);
+        color: white;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: all 0.2s;
+        font-weight: 500;
+        box-shadow: 0 1px 3px rgba(59, 130, 246, 0.3);
+        min-width: 60px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        height: 44px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      #neutral-summarizer-send-btn:hover {
+        background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%);
+        transform: translateY(-1px);
+        box-shadow: 0 4px 8px rgba(59, 130, 246, 0.4);
+      }
+
+      #neutral-summarizer-send-btn:active {
+        transform: translateY(0);
+      }
+      
+      #neutral-summarizer-send-btn:hover {
+        background: #2563eb;
+      }
+      
+      #neutral-summarizer-send-btn:disabled {
+        background: #9ca3af;
+        cursor: not-allowed;
+      }
+
+      #neutral-summarizer-send-btn.stop {
+        background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
+        box-shadow: 0 1px 3px rgba(239, 68, 68, 0.3);
+      }
+
+      #neutral-summarizer-send-btn.stop:hover {
+        background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%);
+      }
+
+      .neutral-summarizer-message-actions {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-top: 8px;
+      }
+
+      .neutral-summarizer-action-btn {
+        background: rgba(255, 255, 255, 0.7);
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        padding: 2px 8px;
+        cursor: pointer;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #374151;
+        transition: background-color 0.2s;
+      }
+
+      .neutral-summarizer-action-btn:hover {
+        background: white;
+      }
+
+      .neutral-summarizer-action-btn:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .neutral-summarizer-variant-switcher {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        margin-right: 4px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-regenerate-options {
+        display: flex;
+        gap: 4px;
+        margin-top: 6px;
+      }
+
+      .neutral-summarizer-regenerate-options[hidden] {
+        display: none;
+      }
+
+      .neutral-summarizer-regenerate-options input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+      }
+
+      .neutral-summarizer-edit-input {
+        width: 100%;
+        box-sizing: border-box;
+        min-height: 60px;
+        padding: 8px;
+        border: 1px solid #93c5fd;
+        border-radius: 6px;
+        font-family: inherit;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        resize: vertical;
+      }
+
+      .neutral-summarizer-inline-controls {
+        display: flex;
+        gap: 8px;
+      }
+
+      .neutral-summarizer-inline-controls select {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .neutral-summarizer-inline-controls .neutral-summarizer-btn {
+        flex: none;
+        padding: 8px 12px;
+      }
+
+      .neutral-summarizer-model-picker {
+        position: relative;
+        flex: 1;
+        min-width: 0;
+      }
+
+      .neutral-summarizer-model-picker input {
+        width: 100%;
+        box-sizing: border-box;
+      }
+
+      #neutral-summarizer-model-options {
+        display: none;
+        position: absolute;
+        top: calc(100% + 4px);
+        left: 0;
+        right: 0;
+        max-height: 280px;
+        overflow-y: auto;
+        background: white;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.12);
+        z-index: 10;
+      }
+
+      #neutral-summarizer-model-options.open {
+        display: block;
+      }
+
+      .neutral-summarizer-model-option {
+        padding: 8px 12px;
+        cursor: pointer;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      .neutral-summarizer-model-option:hover,
+      .neutral-summarizer-model-option.selected {
+        background: #eff6ff;
+      }
+
+      .neutral-summarizer-model-option-id {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #1f2937;
+        word-break: break-all;
+      }
+
+      .neutral-summarizer-model-option-meta {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-split-btn {
+        flex: 1;
+        display: flex;
+        position: relative;
+        min-width: 0;
+      }
+
+      .neutral-summarizer-split-btn #neutral-summarizer-summarize-btn {
+        border-top-right-radius: 0;
+        border-bottom-right-radius: 0;
+        min-width: 0;
+      }
+
+      #neutral-summarizer-summarize-label {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #neutral-summarizer-preset-toggle {
+        flex: 0 0 auto;
+        padding: 10px;
+        border-left: 1px solid rgba(255, 255, 255, 0.35);
+        border-top-left-radius: 0;
+        border-bottom-left-radius: 0;
+      }
+
+      #neutral-summarizer-preset-menu {
+        display: none;
+        position: absolute;
+        top: calc(100% + 4px);
+        left: 0;
+        right: 0;
+        max-height: 280px;
+        overflow-y: auto;
+        background: white;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.12);
+        z-index: 10;
+      }
+
+      #neutral-summarizer-preset-menu.open {
+        display: block;
+      }
+
+      .neutral-summarizer-preset-option {
+        padding: 8px 12px;
+        cursor: pointer;
+        border-bottom: 1px solid #f3f4f6;
+      }
+
+      .neutral-summarizer-preset-option:hover,
+      .neutral-summarizer-preset-option.selected {
+        background: #eff6ff;
+      }
+
+      .neutral-summarizer-preset-option-name {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #1f2937;
+      }
+
+      .neutral-summarizer-preset-option-meta {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-preset-item {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 10px;
+        margin-bottom: 8px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: #f9fafb;
+      }
+
+      .neutral-summarizer-preset-item input,
+      .neutral-summarizer-preset-item textarea {
+        padding: 8px 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-family: inherit;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        background: white;
+        min-width: 0;
+      }
+
+      .neutral-summarizer-preset-item .neutral-summarizer-preset-name {
+        flex: 1;
+      }
+
+      .neutral-summarizer-preset-item .neutral-summarizer-preset-length {
+        width: 72px;
+        flex: 0 0 auto;
+      }
+
+      .neutral-summarizer-preset-item .neutral-summarizer-btn {
+        flex: 0 0 auto;
+        padding: 6px 10px;
+      }
+
+      .neutral-summarizer-preset-item .neutral-summarizer-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .neutral-summarizer-preset-item textarea {
+        resize: vertical;
+        min-height: 60px;
+      }
+
+      .neutral-summarizer-analysis-actions {
+        display: flex;
+        gap: 8px;
+        padding: 0 12px 12px 12px;
+        flex-shrink: 0;
+      }
+
+      .neutral-summarizer-analysis-actions .neutral-summarizer-btn {
+        padding: 6px 10px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+      }
+
+      .neutral-summarizer-report-header {
+        display: flex;
+        gap: 12px;
+        align-items: center;
+        margin-bottom: 10px;
+      }
+
+      .neutral-summarizer-report-header h4 {
+        margin: 0 0 2px 0;
+      }
+
+      .neutral-summarizer-report-verdict {
+        margin: 0;
+        color: #4b5563;
+      }
+
+      .neutral-summarizer-report-score {
+        flex-shrink: 0;
+        width: 52px;
+        height: 52px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 20px;
+        font-weight: 700;
+        color: white;
+      }
+
+      .neutral-summarizer-report-score.good,
+      .neutral-summarizer-report-track .good {
+        background: #10b981;
+      }
+
+      .neutral-summarizer-report-score.fair,
+      .neutral-summarizer-report-track .fair {
+        background: #f59e0b;
+      }
+
+      .neutral-summarizer-report-score.poor,
+      .neutral-summarizer-report-track .poor {
+        background: #ef4444;
+      }
+
+      .neutral-summarizer-report-bar {
+        display: grid;
+        grid-template-columns: 80px 1fr 28px;
+        gap: 8px;
+        align-items: center;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #4b5563;
+        margin-bottom: 4px;
+      }
+
+      .neutral-summarizer-report-track {
+        height: 6px;
+        background: #e5e7eb;
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .neutral-summarizer-report-track div {
+        height: 100%;
+      }
+
+      .neutral-summarizer-report-section {
+        margin-top: 10px;
+        border-top: 1px solid #e5e7eb;
+        padding-top: 8px;
+      }
+
+      .neutral-summarizer-report-section summary {
+        cursor: pointer;
+        font-weight: 600;
+        color: #374151;
+      }
+
+      .neutral-summarizer-report-finding {
+        margin: 8px 0 0 8px;
+        padding-left: 8px;
+        border-left: 3px solid #fca5a5;
+      }
+
+      .neutral-summarizer-report-finding.good {
+        border-left-color: #6ee7b7;
+      }
+
+      .neutral-summarizer-report-detail,
+      .neutral-summarizer-report-empty {
+        color: #6b7280;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+      }
+
+      .neutral-summarizer-report-finding blockquote {
+        margin: 4px 0;
+        padding: 4px 8px;
+        background: #f9fafb;
+        border-radius: 4px;
+        font-style: italic;
+        color: #374151;
+      }
+
+      .neutral-summarizer-claims-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        align-items: center;
+        margin: 6px 0 8px 0;
+      }
+
+      .neutral-summarizer-claims-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+      }
+
+      .neutral-summarizer-claims-filters .neutral-summarizer-action-btn.active {
+        background: #dbeafe;
+        border-color: #93c5fd;
+        color: #1d4ed8;
+      }
+
+      .neutral-summarizer-claims-search {
+        flex: 1;
+        min-width: 100px;
+        padding: 4px 8px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+      }
+
+      .neutral-summarizer-claims-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+      }
+
+      .neutral-summarizer-claims-table th {
+        text-align: left;
+        padding: 4px 6px;
+        border-bottom: 2px solid #e5e7eb;
+        color: #6b7280;
+        font-weight: 600;
+      }
+
+      .neutral-summarizer-claims-table td {
+        padding: 6px;
+        border-bottom: 1px solid #f3f4f6;
+        vertical-align: top;
+      }
+
+      .neutral-summarizer-claims-table tr.locatable {
+        cursor: pointer;
+      }
+
+      .neutral-summarizer-claims-table tr.locatable:hover {
+        background: #f9fafb;
+      }
+
+      .neutral-summarizer-claim-source {
+        margin-top: 2px;
+        color: #9ca3af;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        font-style: italic;
+      }
+
+      .neutral-summarizer-claim-type {
+        display: inline-block;
+        padding: 1px 6px;
+        border-radius: 10px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        white-space: nowrap;
+      }
+
+      .neutral-summarizer-claim-type.fact {
+        background: #dcfce7;
+        color: #166534;
+      }
+
+      .neutral-summarizer-claim-type.statistic {
+        background: #dbeafe;
+        color: #1e40af;
+      }
+
+      .neutral-summarizer-claim-type.prediction {
+        background: #fef3c7;
+        color: #92400e;
+      }
+
+      .neutral-summarizer-claim-type.opinion {
+        background: #fce7f3;
+        color: #9d174d;
+      }
+
+      .neutral-summarizer-claim-speaker {
+        color: #4b5563;
+      }
+
+      ::highlight(neutral-summarizer-flash) {
+        background-color: #fde68a;
+        color: #111827;
+      }
+
+      ::highlight(neutral-summarizer-fact) {
+        background-color: #dbeafe;
+      }
+
+      ::highlight(neutral-summarizer-opinion) {
+        background-color: #fed7aa;
+      }
+
+      ::highlight(neutral-summarizer-quoted-opinion) {
+        background-color: #e9d5ff;
+      }
+
+      .neutral-summarizer-highlight-legend-items {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin: 8px 0;
+      }
+
+      .neutral-summarizer-highlight-legend-item {
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 12px;
+        color: #1f2937;
+      }
+
+      .neutral-summarizer-highlight-legend-item.fact {
+        background: #dbeafe;
+      }
+
+      .neutral-summarizer-highlight-legend-item.opinion {
+        background: #fed7aa;
+      }
+
+      .neutral-summarizer-highlight-legend-item.quoted_opinion {
+        background: #e9d5ff;
+      }
+
+      .neutral-summarizer-selection blockquote {
+        margin: 8px 0 0;
+        padding: 4px 10px;
+        border-left: 3px solid #3b82f6;
+        color: #4b5563;
+        white-space: pre-wrap;
+      }
+
+      .neutral-summarizer-flash {
+        outline: 3px solid #f59e0b;
+        outline-offset: 2px;
+        transition: outline-color 0.3s;
+      }
+
+      .neutral-summarizer-bilingual {
+        display: grid;
+        gap: 12px;
+      }
+
+      .neutral-summarizer-bilingual.side-by-side {
+        grid-template-columns: 1fr 1fr;
+      }
+
+      .neutral-summarizer-bilingual section {
+        min-width: 0;
+      }
+
+      .neutral-summarizer-bilingual.stacked section + section {
+        padding-top: 12px;
+        border-top: 1px dashed #d1d5db;
+      }
+
+      .neutral-summarizer-bilingual.side-by-side section + section {
+        padding-left: 12px;
+        border-left: 1px dashed #d1d5db;
+      }
+
+      .neutral-summarizer-bilingual-label {
+        display: inline-block;
+        margin-bottom: 6px;
+        padding: 1px 8px;
+        border-radius: 10px;
+        background: #eff6ff;
+        color: #1d4ed8;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        font-weight: 600;
+      }
+
+      .neutral-summarizer-site-rule {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 10px;
+        margin-bottom: 8px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: #f9fafb;
+      }
+
+      .neutral-summarizer-site-rule input[type="text"],
+      .neutral-summarizer-site-rule select,
+      .neutral-summarizer-site-rule textarea {
+        flex: 1;
+        padding: 8px 10px;
+        border: 1px solid #d1d5db;
+        border-radius: 6px;
+        font-family: inherit;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        background: white;
+        min-width: 0;
+      }
+
+      .neutral-summarizer-site-rule textarea {
+        resize: vertical;
+        min-height: 50px;
+      }
+
+      .neutral-summarizer-site-rule .neutral-summarizer-btn {
+        flex: 0 0 auto;
+        padding: 6px 10px;
+      }
+
+      .neutral-summarizer-site-rule .neutral-summarizer-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .neutral-summarizer-site-rule-flags {
+        display: flex;
+        gap: 16px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #374151;
+      }
+
+      .neutral-summarizer-site-rule-flags label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        cursor: pointer;
+      }
+
+      #neutral-summarizer-site-rule-status {
+        color: #6b7280;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+      }
+
+      #neutral-summarizer-template-text {
+        min-height: 200px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+      }
+
+      #neutral-summarizer-template-preview {
+        margin: 0;
+        max-height: 260px;
+        overflow: auto;
+        padding: 10px 12px;
+        background: #f9fafb;
+        border: 1px dashed #d1d5db;
+        border-radius: 8px;
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #374151;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      #neutral-summarizer-template-preview.error {
+        color: #b91c1c;
+        background: #fef2f2;
+        border-color: #fecaca;
+      }
+
+      .neutral-summarizer-budget-grid {
+        display: grid;
+        grid-template-columns: auto 1fr 1fr;
+        gap: 6px 8px;
+        align-items: center;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #374151;
+      }
+
+      .neutral-summarizer-budget-grid input {
+        min-width: 0;
+        padding: 8px 10px;
+      }
+
+      .neutral-summarizer-usage-totals {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 8px;
+        text-align: center;
+      }
+
+      .neutral-summarizer-usage-totals div {
+        padding: 10px 6px;
+        background: #f9fafb;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+      }
+
+      .neutral-summarizer-usage-totals span,
+      .neutral-summarizer-usage-note {
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-usage-note {
+        display: block;
+        margin-top: 6px;
+      }
+
+      .neutral-summarizer-usage-table {
+        margin-top: 12px;
+      }
+
+      .neutral-summarizer-usage-table h5 {
+        margin: 0 0 4px 0;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #374151;
+      }
+
+      .neutral-summarizer-usage-row {
+        display: grid;
+        grid-template-columns: 1fr auto 70px;
+        gap: 8px;
+        padding: 4px 0;
+        border-bottom: 1px solid #f3f4f6;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #4b5563;
+      }
+
+      .neutral-summarizer-usage-row .name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .neutral-summarizer-usage-row .cost {
+        text-align: right;
+      }
+
+      .neutral-summarizer-usage-row.empty {
+        display: block;
+        color: #9ca3af;
+      }
+
+      #neutral-summarizer-history-search {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 10px 14px;
+        margin-bottom: 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        background: #fafbfc;
+      }
+
+      #neutral-summarizer-history-search:focus {
+        outline: none;
+        background: white;
+        border-color: #3b82f6;
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+      }
+
+      .neutral-summarizer-history-item {
+        padding: 12px 14px;
+        margin-bottom: 10px;
+        background: white;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+      }
+
+      .neutral-summarizer-history-title {
+        font-weight: 600;
+        color: #1f2937;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .neutral-summarizer-history-meta {
+        margin-top: 2px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-history-preview {
+        margin-top: 6px;
+        color: #374151;
+        line-height: 1.4;
+      }
+
+      .neutral-summarizer-history-empty {
+        padding: 40px 20px;
+        text-align: center;
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-reasoning {
+        margin-bottom: 10px;
+        padding: 8px 12px;
+        background: #f9fafb;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-reasoning summary {
+        cursor: pointer;
+        font-weight: 500;
+        user-select: none;
+      }
+
+      .neutral-summarizer-reasoning.thinking summary {
+        animation: pulse 1.5s ease-in-out infinite;
+      }
+
+      @keyframes pulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.5; }
+      }
+
+      .neutral-summarizer-reasoning-text {
+        margin-top: 6px;
+        max-height: 240px;
+        overflow-y: auto;
+        white-space: pre-wrap;
+        line-height: 1.5;
+      }
+
+      .neutral-summarizer-message-footer {
+        margin-top: 8px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        color: #9ca3af;
+        word-break: break-all;
+      }
+
+      .neutral-summarizer-settings-group input[type="checkbox"] {
+        padding: 0;
+        cursor: pointer;
+      }
+
+      .neutral-summarizer-verify-marker {
+        position: relative;
+        display: inline-block;
+        margin-left: 4px;
+        padding: 0 5px;
+        border-radius: 8px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 3px);
+        font-weight: 600;
+        line-height: 1.5;
+        cursor: help;
+      }
+
+      .neutral-summarizer-verify-marker.supported {
+        background: #d1fae5;
+        color: #047857;
+      }
+
+      .neutral-summarizer-verify-marker.partial {
+        background: #fef3c7;
+        color: #b45309;
+      }
+
+      .neutral-summarizer-verify-marker.unsupported {
+        background: #fee2e2;
+        color: #b91c1c;
+      }
+
+      .neutral-summarizer-verify-marker:hover::after,
+      .neutral-summarizer-verify-marker:focus::after {
+        content: attr(data-tooltip);
+        position: absolute;
+        z-index: 10;
+        right: 0;
+        top: calc(100% + 4px);
+        width: 240px;
+        padding: 8px 10px;
+        border-radius: 6px;
+        background: #1f2937;
+        color: white;
+        font-weight: 400;
+        line-height: 1.4;
+        white-space: pre-wrap;
+        text-align: left;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+      }
+
+      .neutral-summarizer-verify-marker:focus {
+        outline: none;
+      }
+
+      .neutral-summarizer-citation {
+        display: inline-block;
+        min-width: 18px;
+        margin: 0 0 0 3px;
+        padding: 0 5px;
+        border: none;
+        border-radius: 9px;
+        background: #dbeafe;
+        color: #1d4ed8;
+        font-family: inherit;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 4px);
+        font-weight: 600;
+        line-height: 1.6;
+        vertical-align: super;
+        cursor: pointer;
+      }
+
+      .neutral-summarizer-citation:hover {
+        background: #3b82f6;
+        color: white;
+      }
+
+      .neutral-summarizer-citation.missing {
+        background: #f3f4f6;
+        color: #9ca3af;
+        text-decoration: line-through;
+      }
+
+      .neutral-summarizer-verify-summary {
+        margin-top: 8px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #6b7280;
+      }
+
+      .neutral-summarizer-stopped-note {
+        margin-top: 8px;
+        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px);
+        color: #6b7280;
+        font-style: italic;
+      }
+      
+      .neutral-summarizer-settings-section {
+        margin-bottom: 20px;
+        background: white;
+        border-radius: 8px;
+        overflow: hidden;
+        border: 1px solid #e5e7eb;
+      }
+
+      .neutral-summarizer-settings-actions {
+        margin-top: 24px;
+        text-align: center;
+      }
+
+      .neutral-summarizer-settings-form {
+        display: flex;
+        flex-direction: column;
+        gap: 16px;
+        padding: 16px;
+      }
+      
+      .neutral-summarizer-settings-group {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+      
+      .neutral-summarizer-settings-group label {
+        font-weight: 500;
+        color: #374151;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 4px;
+      }
+
+      .neutral-summarizer-label-icon {
+        font-size: 16px;
+        opacity: 0.8;
+      }
+      
+      .neutral-summarizer-settings-group input,
+      .neutral-summarizer-settings-group select,
+      .neutral-summarizer-settings-group textarea {
+        padding: 12px 16px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-family: inherit;
+        font-size: var(--neutral-summarizer-font-size, 14px);
+        background: #fafbfc;
+        transition: all 0.2s;
+        line-height: 1.4;
+      }
+
+      .neutral-summarizer-settings-group input:focus,
+      .neutral-summarizer-settings-group textarea:focus {
+        background: white;
+        border-color: #3b82f6;
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+        outline: none;
+      }
+      
+      .neutral-summarizer-settings-group input:focus,
+      .neutral-summarizer-settings-group textarea:focus {
+        outline: none;
+        border-color: #3b82f6;
+        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+      }
+      
+      .neutral-summarizer-settings-group textarea {
+        resize: vertical;
+        min-height: 100px;
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+      }
+      
+      .neutral-summarizer-settings-group input[type="range"] {
+        padding: 0;
+        height: 6px;
+        background: #e5e7eb;
+        border-radius: 3px;
+        outline: none;
+        -webkit-appearance: none;
+      }
+
+      .neutral-summarizer-settings-group input[type="range"]::-webkit-slider-thumb {
+        -webkit-appearance: none;
+        appearance: none;
+        width: 18px;
+        height: 18px;
+        background: #3b82f6;
+        border-radius: 50%;
+        cursor: pointer;
+        transition: all 0.2s;
+      }
+
+      .neutral-summarizer-settings-group input[type="range"]::-webkit-slider-thumb:hover {
+        background: #2563eb;
+        transform: scale(1.1);
+      }
+
+      .neutral-summarizer-settings-group input[type="range"]::-moz-range-thumb {
+        width: 18px;
+        height: 18px;
+        background: #3b82f6;
+        border-radius: 50%;
+        cursor: pointer;
+        border: none;
+        transition: all 0.2s;
+      }
+
+      .neutral-summarizer-settings-group input[type="range"]::-moz-range-thumb:hover {
+        background: #2563eb;
+        transform: scale(1.1);
+      }
+    `;
+
+    const styleElement = document.createElement('style');
+    styleElement.textContent = styles;
+    document.head.appendChild(styleElement);
+  }
+
+  setupChatEventListeners() {
+    // Summarize button
+    const summarizeBtn = document.getElementById('neutral-summarizer-summarize-btn');
+    if (summarizeBtn) {
+      summarizeBtn.addEventListener('click', () => this.summarizePage());
+    }
+
+    // Preset menu of the split button
+    const presetToggle = document.getElementById('neutral-summarizer-preset-toggle');
+    const presetMenu = document.getElementById('neutral-summarizer-preset-menu');
+    if (presetToggle && presetMenu) {
+      presetToggle.addEventListener('click', () => presetMenu.classList.toggle('open'));
+    }
+
+    // Page analyses
+    const neutralityBtn = document.getElementById('neutral-summarizer-neutrality-btn');
+    if (neutralityBtn) {
+      neutralityBtn.addEventListener('click', () => this.analyzeNeutrality());
+    }
+
+    const claimsBtn = document.getElementById('neutral-summarizer-claims-btn');
+    if (claimsBtn) {
+      claimsBtn.addEventListener('click', () => this.extractClaims());
+    }
+
+    // Citation chips in answers
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (chatMessages) {
+      chatMessages.addEventListener('click', (e) => {
+        const chip = e.target.closest && e.target.closest('.neutral-summarizer-citation');
+        if (chip) {
+          this.revealCitation(chip.closest('.neutral-summarizer-message'), Number(chip.dataset.paragraph), chip);
+        }
+      });
+    }
+
+    // Clear chat button
+    const clearBtn = document.getElementById('neutral-summarizer-clear-btn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.clearChat());
+    }
+
+    // Send button
+    const sendBtn = document.getElementById('neutral-summarizer-send-btn');
+    if (sendBtn) {
+      sendBtn.addEventListener('click', () => {
+        if (this.activeRequest) {
+          this.stopStreaming();
+        } else {
+          this.sendMessage();
+        }
+      });
+    }
+
+    // Enter key in chat input
+    const chatInput = document.getElementById('neutral-summarizer-chat-input');
+    if (chatInput) {
+      chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+          e.preventDefault();
+          if (!this.activeRequest) {
+            this.sendMessage();
+          }
+        }
+      });
+    }
+  }
+
+  setupSettingsEventListeners() {
+    // Save settings button
+    const saveBtn = document.getElementById('neutral-summarizer-save-settings');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveSettings());
+    }
+
+    // Provider profiles
+    const profileSelect = document.getElementById('neutral-summarizer-profile-select');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', () => this.selectFormProfile(profileSelect.value));
+    }
+
+    const addProfileBtn = document.getElementById('neutral-summarizer-profile-add');
+    if (addProfileBtn) {
+      addProfileBtn.addEventListener('click', () => this.addFormProfile());
+    }
+
+    const deleteProfileBtn = document.getElementById('neutral-summarizer-profile-delete');
+    if (deleteProfileBtn) {
+      deleteProfileBtn.addEventListener('click', () => this.deleteFormProfile());
+    }
+
+    // Summary presets
+    const addPresetBtn = document.getElementById('neutral-summarizer-preset-add');
+    if (addPresetBtn) {
+      addPresetBtn.addEventListener('click', () => this.addFormPreset());
+    }
+
+    // Prompt templates
+    const templateTypeSelect = document.getElementById('neutral-summarizer-template-type');
+    if (templateTypeSelect) {
+      templateTypeSelect.addEventListener('change', () => this.selectFormTemplate(templateTypeSelect.value));
+    }
+
+    const templateInput = document.getElementById('neutral-summarizer-template-text');
+    if (templateInput) {
+      templateInput.addEventListener('input', () => this.renderTemplatePreview());
+    }
+
+    const resetTemplateBtn = document.getElementById('neutral-summarizer-template-reset');
+    if (resetTemplateBtn) {
+      resetTemplateBtn.addEventListener('click', () => this.resetFormTemplate());
+    }
+
+    // Site rules
+    const addRuleBtn = document.getElementById('neutral-summarizer-site-rule-add');
+    if (addRuleBtn) {
+      addRuleBtn.addEventListener('click', () => this.addFormSiteRule());
+    }
+
+    const exportRulesBtn = document.getElementById('neutral-summarizer-site-rule-export');
+    if (exportRulesBtn) {
+      exportRulesBtn.addEventListener('click', () => this.exportSiteRules());
+    }
+
+    const importRulesBtn = document.getElementById('neutral-summarizer-site-rule-import');
+    const importRulesFile = document.getElementById('neutral-summarizer-site-rule-file');
+    if (importRulesBtn && importRulesFile) {
+      importRulesBtn.addEventListener('click', () => importRulesFile.click());
+      importRulesFile.addEventListener('change', () => {
+        if (importRulesFile.files.length > 0) {
+          this.importSiteRules(importRulesFile.files[0]);
+        }
+        importRulesFile.value = '';
+      });
+    }
+
+    // Auto-summarize allowlist
+    const autoSummarizeAddBtn = document.getElementById('neutral-summarizer-auto-summarize-add');
+    if (autoSummarizeAddBtn) {
+      autoSummarizeAddBtn.addEventListener('click', () => this.addCurrentSiteToAutoSummarize());
+    }
+
+    // Usage dashboard
+    const usageRange = document.getElementById('neutral-summarizer-usage-range');
+    if (usageRange) {
+      usageRange.addEventListener('change', () => this.renderUsageDashboard());
+    }
+
+    const clearUsageBtn = document.getElementById('neutral-summarizer-clear-usage');
+    if (clearUsageBtn) {
+      clearUsageBtn.addEventListener('click', async () => {
+        if (!confirm('Delete all recorded usage data?')) return;
+        await this.usageTracker.clear();
+        this.renderUsageDashboard();
+      });
+    }
+
+    // Model picker
+    const modelInput = document.getElementById('neutral-summarizer-model-name');
+    if (modelInput) {
+      modelInput.addEventListener('focus', () => {
+        // Fetch on first use of a provider and once a day after that
+        if (this.modelCatalog.isStale(this.modelCatalogEntry)) {
+          this.loadModelOptions({ refresh: true });
+        }
+        this.renderModelOptions();
+      });
+      modelInput.addEventListener('input', () => this.renderModelOptions());
+      modelInput.addEventListener('blur', () => this.closeModelOptions());
+      modelInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') this.closeModelOptions();
+      });
+    }
+
+    const providerTypeSelect = document.getElementById('neutral-summarizer-provider-type');
+    if (providerTypeSelect) {
+      providerTypeSelect.addEventListener('change', () => this.changeProviderType(providerTypeSelect.value));
+    }
+
+    const refreshModelsBtn = document.getElementById('neutral-summarizer-refresh-models');
+    if (refreshModelsBtn) {
+      refreshModelsBtn.addEventListener('click', () => this.loadModelOptions({ refresh: true }));
+    }
+
+    // Sidebar width slider
+    const widthSlider = document.getElementById('neutral-summarizer-sidebar-width');
+    if (widthSlider) {
+      widthSlider.addEventListener('input', (e) => {
+        const value = e.target.value;
+        document.getElementById('neutral-summarizer-width-value').textContent = `${value}px`;
+      });
+    }
+
+    // Font size slider
+    const fontSlider = document.getElementById('neutral-summarizer-font-size');
+    if (fontSlider) {
+      fontSlider.addEventListener('input', (e) => {
+        const value = e.target.value;
+        document.getElementById('neutral-summarizer-font-value').textContent = `${value}px`;
+      });
+    }
+
+    // Temperature slider
+    const temperatureSlider = document.getElementById('neutral-summarizer-temperature');
+    if (temperatureSlider) {
+      temperatureSlider.addEventListener('input', (e) => {
+        const value = e.target.value;
+        document.getElementById('neutral-summarizer-temperature-value').textContent = value;
+      });
+    }
+  }
+
+  async summarizePage() {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    // Clear all existing messages (both loading and regular messages)
+    this.clearChat();
+    const controller = this.beginStreaming();
+
+    // Add loading message
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'neutral-summarizer-message loading';
+    loadingMsg.textContent = 'Analyzing page content...';
+    chatMessages.appendChild(loadingMsg);
+
+    try {
+      // Get current settings (site rules decide how the page is extracted)
+      const settings = await this.getSettings();
+      
+      // Extract page content
+      const pageContent = await this.extractPageContent(loadingMsg, settings.siteRule);
+      const preset = this.getCurrentPreset(this.getPresets(settings));
+      
+      await this.performSummarization(pageContent, settings, loadingMsg, chatMessages, controller, preset);
+    } catch (error) {
+      console.error('Error in summarizePage:', error);
+      
+      // Remove loading message
+      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      
+      // Add error message
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ Error</strong><br>
+        Failed to analyze page content: ${error.message}<br>
+        <small>Please try again later.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+    } finally {
+      this.endStreaming(controller);
+    }
+  }
+
+  async performSummarization(pageContent, settings, loadingMsg, chatMessages, controller, preset = null) {
+    // Check if API key is available
+    if (!this.hasRequiredApiKey(settings)) {
+      // Remove loading message
+      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      
+      // Add error message
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ Configuration Required</strong><br>
+        Please configure API keys in Settings to enable real AI summarization.<br>
+        <small>Go to Settings tab and add your OpenAI API key or DumplingAI API key.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+      return;
+    }
+
+    // The check compares against the page itself, not the condensed notes
+    const sourceContent = pageContent;
+    if (settings.citations) {
+      pageContent = this.getCitableContent(pageContent);
+    }
+
+    // Long content is condensed section by section before the final summary
+    if (this.chunker.needsChunking(pageContent.content)) {
+      try {
+        pageContent = await this.condenseLongContent(pageContent, settings, loadingMsg, controller);
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          throw error;
+        }
+        if (this.activeRequest === controller) {
+          this.finalizeStoppedMessage(null, '', loadingMsg, chatMessages);
+        }
+        return;
+      }
+    }
+
+    const userPrompt = this.buildSummaryPrompt(pageContent, settings, preset);
+    
+    // Start a new conversation; the page prompt and its summary stay pinned for follow-ups
+    const systemPrompt = pageContent.cited ? `${settings.systemPrompt}\n\n${this.buildCitationInstruction()}` : settings.systemPrompt;
+    this.conversation.reset(this.withLanguageInstruction(systemPrompt, settings, pageContent));
+    this.conversation.addUserMessage(userPrompt, true);
+
+    const requestBody = {
+      model: settings.modelName,
+      messages: this.conversation.buildMessages(this.getPromptTokenBudget(settings)),
+      // max_tokens: 2048,
+      max_completion_tokens: settings.maxTokens || 4096,
+      temperature: settings.temperature || 0.3,
+      stream: true  // Enable streaming mode
+    };
+
+    try {
+      const result = await this.streamCompletion(requestBody, settings, {}, controller, loadingMsg, chatMessages);
+      if (result.cancelled) return;
+
+      if (!result.content) {
+        this.conversation.reset();
+        return;
+      }
+
+      const turn = this.conversation.addAssistantMessage(result.content, true, {
+        model: result.model,
+        truncatedAt: pageContent.truncatedAt || undefined,
+        citations: this.collectCitations(result.content),
+        fallbackFor: result.fallbackFor,
+        stopped: result.stopped,
+        finishReason: result.finishReason,
+        reasoning: result.reasoning,
+        usage: result.usage,
+        cost: result.cost
+      });
+      this.renderAssistantMessage(result.aiMsg, turn);
+      this.saveConversation();
+
+      if (settings.verifySummaries && !result.stopped) {
+        await this.verifyAnswer(result.aiMsg, turn, sourceContent, settings, controller);
+      }
+
+    } catch (error) {
+      console.error('Summarization API error:', error);
+      this.conversation.reset();
+      
+      // Remove loading message
+      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      
+      // Add error message
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ API Error</strong><br>
+        Failed to generate summary: ${error.message}<br>
+        <small>Please check your API keys and network connection.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+    }
+  }
+
+  // Numbered paragraphs replace the flat text only when they cover most of it; loose text outside
+  // paragraph elements would otherwise be lost
+  getCitableContent(pageContent) {
+    const paragraphs = pageContent.paragraphs || [];
+    const length = paragraphs.reduce((sum, text) => sum + text.length, 0);
+    if (paragraphs.length < 2 || length < pageContent.content.length * 0.6) {
+      return pageContent;
+    }
+
+    return {
+      ...pageContent,
+      content: paragraphs.map((text, index) => `[P${index + 1}] ${text}`).join('\n\n'),
+      cited: true
+    };
+  }
+
+  buildCitationInstruction() {
+    return 'The content is split into paragraphs numbered [P1], [P2] and so on. End every statement or bullet with the paragraphs it is based on, written like [P3] or [P3, P7]. Only cite numbers that appear in the content.';
+  }
+
+  // The paragraph text behind each cited number is kept with the answer, so chips still find their
+  // paragraph after a reload
+  collectCitations(content) {
+    const citations = {};
+    for (const match of String(content || '').matchAll(this.citationPattern)) {
+      match[1].split(/\s*,\s*P?/).forEach(id => {
+        const paragraph = this.citationParagraphs[Number(id) - 1];
+        if (paragraph) {
+          citations[id] = paragraph.text.slice(0, 200);
+        }
+      });
+    }
+    return Object.keys(citations).length > 0 ? citations : undefined;
+  }
+
+  // Map step of the long-content pipeline: summarize every chunk (a few at a time), then
+  // repeat on the joined notes until they fit under the prompt cap
+  async condenseLongContent(pageContent, settings, loadingMsg, controller) {
+    // Section summaries add up quickly, so a blocking cap is checked before the first one;
+    // a warning is shown once, by the final summary request
+    if (settings.budgetAction === 'block') {
+      await this.enforceBudget(settings, null);
+    }
+
+    const originalLength = pageContent.content.length;
+    let content = pageContent.content;
+    let sectionCount = 0;
+
+    for (let pass = 1; this.chunker.needsChunking(content); pass++) {
+      const chunks = this.chunker.split(content);
+      let completed = 0;
+
+      const updateProgress = () => {
+        if (loadingMsg) {
+          loadingMsg.textContent = pass === 1 ?
+            `Summarizing long content: ${completed}/${chunks.length} sections...` :
+            `Merging section summaries (pass ${pass}): ${completed}/${chunks.length}...`;
+        }
+      };
+      updateProgress();
+
+      const notes = await this.chunker.mapWithConcurrency(chunks, async (chunk, index) => {
+        const note = await this.summarizeChunk(chunk, index, chunks.length, pageContent, settings, controller);
+        completed++;
+        updateProgress();
+        return note;
+      });
+
+      if (pass === 1) sectionCount = chunks.length;
+      content = notes.map((note, index) => `### Section ${index + 1}\n${note}`).join('\n\n');
+
+      // Guard against a model that doesn't actually shorten anything
+      if (chunks.length === 1 || pass >= 3) break;
+    }
+
+    // Notes that are still over the cap are cut; the summary shows a note saying so
+    const maxLength = this.chunker.options.maxContentLength;
+    const truncatedAt = content.length > maxLength ? maxLength : null;
+    if (truncatedAt) {
+      content = content.slice(0, maxLength);
+    }
+
+    if (loadingMsg) {
+      loadingMsg.textContent = `Writing the final summary from ${sectionCount} sections...`;
+    }
+
+    return {
+      ...pageContent,
+      content: content,
+      originalLength: originalLength,
+      sectionCount: sectionCount,
+      truncatedAt: truncatedAt
+    };
+  }
+
+  async summarizeChunk(chunk, index, total, pageContent, settings, controller) {
+    const requestBody = {
+      model: settings.modelName,
+      messages: [
+        {
+          role: 'system',
+          content: 'You condense one section of a longer document. Keep every fact, figure, name, date and quotation that matters, note who holds each opinion, and keep the section\'s order. Do not add an introduction or conclusion.' +
+            (pageContent.cited ? ' Keep the [P1], [P2]... paragraph numbers of the points you keep, after each point.' : '')
+        },
+        {
+          role: 'user',
+          content: `Document: ${pageContent.title}\nURL: ${pageContent.url}\n\nSection ${index + 1} of ${total}:\n\n${chunk}`
+        }
+      ],
+      max_completion_tokens: 2048,
+      temperature: settings.temperature || 0.3,
+      stream: false
+    };
+
+    try {
+      const { response, adapter, model } = await this.sendCompletionRequest(requestBody, settings, {}, controller.signal);
+      const result = adapter.parseResponse(await response.json());
+      await this.recordUsage(result.usage, model, settings);
+      return result.content.trim();
+    } catch (error) {
+      if (controller.signal.aborted) throw error;
+      throw new Error(`${error.message} (section ${index + 1} of ${total})`);
+    }
+  }
+
+  // Shared flow for structured page analyses: extract the page, ask for JSON and render the result as a card in the chat.
+  // Analyses that build their prompt from something other than the extracted content report their own `isTruncated`.
+  async runPageAnalysis({ name, loadingText, systemPrompt, buildUserPrompt, render, isTruncated = null }) {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    const controller = this.beginStreaming();
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'neutral-summarizer-message loading';
+    loadingMsg.textContent = 'Analyzing page content...';
+    chatMessages.appendChild(loadingMsg);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+      const settings = await this.getSettings();
+      if (!this.hasRequiredApiKey(settings)) {
+        throw new Error('Please configure API keys in Settings first.');
+      }
+
+      const pageContent = await this.extractPageContent(loadingMsg, settings.siteRule);
+      loadingMsg.textContent = loadingText;
+      await this.enforceBudget(settings, chatMessages, loadingMsg);
+
+      // Findings quote the page verbatim, so the text is cut rather than condensed
+      const maxLength = this.chunker.options.maxContentLength;
+      const truncated = pageContent.content.length > maxLength;
+      const content = truncated ? pageContent.content.slice(0, maxLength) : pageContent.content;
+      const languages = this.resolveLanguages(settings, pageContent);
+
+      const requestBody = {
+        model: settings.modelName,
+        messages: [
+          {
+            role: 'system',
+            content: `${systemPrompt}\n\nWrite explanations in ${languages.output || 'the language of the page'}, but copy quoted sentences exactly as they appear in the content. Respond with the JSON object only.`
+          },
+          { role: 'user', content: buildUserPrompt(pageContent, content) }
+        ],
+        max_completion_tokens: settings.maxTokens || 4096,
+        temperature: 0.2,
+        stream: false
+      };
+
+      const { response, adapter, model } = await this.sendCompletionRequest(requestBody, settings, {}, controller.signal, (text) => {
+        loadingMsg.textContent = text;
+      });
+      const result = adapter.parseResponse(await response.json());
+      const cost = await this.recordUsage(result.usage, model, settings);
+      if (this.activeRequest !== controller) return;
+
+      const card = document.createElement('div');
+      card.className = 'neutral-summarizer-message ai neutral-summarizer-analysis';
+      render(card, this.parseJSONContent(result.content), pageContent);
+
+      if (isTruncated ? isTruncated() : truncated) {
+        card.insertAdjacentHTML('beforeend', `<div class="neutral-summarizer-stopped-note">✂️ Only the first ${maxLength.toLocaleString()} characters were analyzed</div>`);
+      }
+      const footer = document.createElement('div');
+      footer.className = 'neutral-summarizer-message-footer';
+      footer.textContent = [`🤖 ${model}`, result.usage && this.formatUsage(result.usage, cost)].filter(Boolean).join(' · ');
+      card.appendChild(footer);
+
+      chatMessages.replaceChild(card, loadingMsg);
+      card.scrollIntoView({ block: 'start' });
+    } catch (error) {
+      if (loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      if (controller.signal.aborted) return;
+
+      console.error(`Error in ${name}:`, error);
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ Analysis Error</strong><br>
+        <span></span>
+      `;
+      errorMsg.querySelector('span').textContent = `Failed to create the ${name}: ${error.message}`;
+      chatMessages.appendChild(errorMsg);
+    } finally {
+      this.endStreaming(controller);
+    }
+  }
+
+  // Models wrap JSON in code fences or add a sentence around it often enough that only the outermost object is kept
+  parseJSONContent(content) {
+    const text = String(content || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('The model did not return a JSON object');
+    }
+
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`The model returned malformed JSON (${error.message})`);
+    }
+  }
+
+  analyzeNeutrality() {
+    return this.runPageAnalysis({
+      name: 'neutrality report',
+      loadingText: 'Checking language, claims, balance and attribution...',
+      systemPrompt: `You are a media analyst who checks writing for neutrality. Analyze the content and return a JSON object with exactly these fields:
+{
+  "overall": 0-100 (100 = fully neutral),
+  "verdict": "one sentence",
+  "scores": { "language": 0-100, "claims": 0-100, "balance": 0-100, "attribution": 0-100 },
+  "loadedLanguage": [{ "phrase": "the loaded words", "sentence": "the full sentence, copied exactly", "why": "what makes it loaded", "neutral": "a neutral alternative" }],
+  "unsupportedClaims": [{ "claim": "short restatement", "sentence": "the full sentence, copied exactly", "why": "what evidence is missing" }],
+  "missingPerspectives": [{ "perspective": "who or what view is absent", "why": "why it matters here" }],
+  "attribution": [{ "sentence": "the full sentence, copied exactly", "quality": "strong" | "weak" | "missing", "issue": "what is wrong or right with the sourcing" }]
+}
+Only report real problems; use empty lists when there are none. "attribution" lists sentences whose sourcing is weak or missing, plus at most three that are well attributed.`,
+      buildUserPrompt: (pageContent, content) => `Title: ${pageContent.title}\nURL: ${pageContent.url}\n\nContent:\n${content}`,
+      render: (card, report) => this.renderNeutralityReport(card, report)
+    });
+  }
+
+  renderNeutralityReport(card, report) {
+    const clampScore = (value) => Math.max(0, Math.min(100, Math.round(Number(value) || 0)));
+    const scoreClass = (value) => (value >= 75 ? 'good' : value >= 50 ? 'fair' : 'poor');
+    const overall = clampScore(report.overall);
+    const scores = report.scores || {};
+
+    card.innerHTML = `
+      <div class="neutral-summarizer-report-header">
+        <div class="neutral-summarizer-report-score ${scoreClass(overall)}">${overall}</div>
+        <div>
+          <h4>⚖️ Neutrality Report</h4>
+          <p class="neutral-summarizer-report-verdict"></p>
+        </div>
+      </div>
+      <div class="neutral-summarizer-report-bars"></div>
+    `;
+    card.querySelector('.neutral-summarizer-report-verdict').textContent = report.verdict || '';
+
+    const bars = card.querySelector('.neutral-summarizer-report-bars');
+    [['language', 'Language'], ['claims', 'Claims'], ['balance', 'Balance'], ['attribution', 'Attribution']].forEach(([key, label]) => {
+      const value = clampScore(scores[key]);
+      const bar = document.createElement('div');
+      bar.className = 'neutral-summarizer-report-bar';
+      bar.innerHTML = `
+        <span>${label}</span>
+        <div class="neutral-summarizer-report-track"><div class="${scoreClass(value)}" style="width: ${value}%"></div></div>
+        <span>${value}</span>
+      `;
+      bars.appendChild(bar);
+    });
+
+    // One index of the page text serves every section's quotes
+    const index = this.pageTextLocator.buildIndex();
+    const list = (items) => (Array.isArray(items) ? items : []);
+    card.appendChild(this.createReportSection('🔥 Loaded language', list(report.loadedLanguage).map(item => ({
+      title: `“${item.phrase || ''}”`,
+      detail: [item.why, item.neutral && `Neutral: “${item.neutral}”`].filter(Boolean).join(' · '),
+      sentence: item.sentence
+    })), index));
+    card.appendChild(this.createReportSection('❓ Unsupported claims', list(report.unsupportedClaims).map(item => ({
+      title: item.claim,
+      detail: item.why,
+      sentence: item.sentence
+    })), index));
+    card.appendChild(this.createReportSection('👥 Missing perspectives', list(report.missingPerspectives).map(item => ({
+      title: item.perspective,
+      detail: item.why
+    })), index));
+    card.appendChild(this.createReportSection('🏷️ Attribution', list(report.attribution).map(item => {
+      const quality = item.quality ? String(item.quality) : '';
+      return {
+        title: quality ? `${quality.charAt(0).toUpperCase()}${quality.slice(1)} attribution` : 'Attribution',
+        detail: item.issue,
+        sentence: item.sentence,
+        tone: quality === 'strong' ? 'good' : ''
+      };
+    }), index));
+  }
+
+  extractClaims() {
+    return this.runPageAnalysis({
+      name: 'claims table',
+      loadingText: 'Extracting and classifying claims...',
+      systemPrompt: `You extract claims from text for fact-checkers. List every claim the content makes, in order, and return a JSON object:
+{
+  "claims": [{
+    "claim": "the claim as a short standalone statement",
+    "type": "fact" | "statistic" | "prediction" | "opinion",
+    "speaker": "who makes the claim: a named person or organization, 'the author' when unattributed",
+    "sentence": "the source sentence, copied exactly"
+  }]
+}
+"fact" is a checkable statement about the past or present, "statistic" contains a number, figure or measurement, "prediction" is about the future, and "opinion" is a judgement or belief, including the author's own.`,
+      buildUserPrompt: (pageContent, content) => `Title: ${pageContent.title}\nURL: ${pageContent.url}\n\nContent:\n${content}`,
+      render: (card, result, pageContent) => this.renderClaimsTable(card, Array.isArray(result.claims) ? result.claims : [], pageContent)
+    });
+  }
+
+  renderClaimsTable(card, claims, pageContent) {
+    const types = {
+      fact: 'Verifiable fact',
+      statistic: 'Statistic',
+      prediction: 'Prediction',
+      opinion: 'Opinion'
+    };
+    claims = claims
+      .filter(claim => claim && claim.claim)
+      .map(claim => ({ ...claim, type: types[claim.type] ? claim.type : 'fact' }));
+
+    card.innerHTML = `
+      <h4>📋 Claims (${claims.length})</h4>
+      <div class="neutral-summarizer-claims-toolbar">
+        <div class="neutral-summarizer-claims-filters"></div>
+        <input type="search" class="neutral-summarizer-claims-search" placeholder="Filter claims...">
+        <button class="neutral-summarizer-action-btn" data-action="export">⬇️ CSV</button>
+      </div>
+      <table class="neutral-summarizer-claims-table">
+        <thead><tr><th>Claim</th><th>Type</th><th>Attribution</th></tr></thead>
+        <tbody></tbody>
+      </table>
+    `;
+
+    let activeType = 'all';
+    const searchInput = card.querySelector('.neutral-summarizer-claims-search');
+    const tbody = card.querySelector('tbody');
+    const index = this.pageTextLocator.buildIndex();
+    const ranges = new Map(claims.map(claim => [claim, claim.sentence ? this.pageTextLocator.find(claim.sentence, index) : null]));
+
+    const renderRows = () => {
+      const query = searchInput.value.trim().toLowerCase();
+      tbody.innerHTML = '';
+      claims
+        .filter(claim => activeType === 'all' || claim.type === activeType)
+        .filter(claim => !query || [claim.claim, claim.speaker, claim.sentence].join(' ').toLowerCase().includes(query))
+        .forEach(claim => {
+          const row = document.createElement('tr');
+          row.innerHTML = `
+            <td><div class="neutral-summarizer-claim-text"></div><div class="neutral-summarizer-claim-source"></div></td>
+            <td><span class="neutral-summarizer-claim-type ${claim.type}"></span></td>
+            <td class="neutral-summarizer-claim-speaker"></td>
+          `;
+          row.querySelector('.neutral-summarizer-claim-text').textContent = claim.claim;
+          row.querySelector('.neutral-summarizer-claim-source').textContent = claim.sentence || '';
+          row.querySelector('.neutral-summarizer-claim-type').textContent = types[claim.type];
+          row.querySelector('.neutral-summarizer-claim-speaker').textContent = claim.speaker || '';
+
+          if (ranges.get(claim)) {
+            row.classList.add('locatable');
+            row.title = 'Show the source sentence on the page';
+            row.addEventListener('click', () => this.revealOnPage(claim.sentence, ranges.get(claim)));
+          }
+          tbody.appendChild(row);
+        });
+
+      if (!tbody.firstChild) {
+        tbody.innerHTML = '<tr><td colspan="3" class="neutral-summarizer-report-empty">No matching claims</td></tr>';
+      }
+    };
+
+    const filters = card.querySelector('.neutral-summarizer-claims-filters');
+    ['all', ...Object.keys(types)].forEach(type => {
+      const count = type === 'all' ? claims.length : claims.filter(claim => claim.type === type).length;
+      const chip = this.createActionButton(`${type === 'all' ? 'All' : types[type]} (${count})`, `Show ${type === 'all' ? 'all claims' : types[type].toLowerCase() + ' claims'}`, () => {
+        activeType = type;
+        filters.querySelectorAll('button').forEach(button => button.classList.toggle('active', button === chip));
+        renderRows();
+      });
+      chip.classList.toggle('active', type === 'all');
+      filters.appendChild(chip);
+    });
+
+    searchInput.addEventListener('input', renderRows);
+    card.querySelector('[data-action="export"]').addEventListener('click', () => {
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(this.buildClaimsCSV(claims, types, pageContent), `claims-${window.location.hostname || 'page'}-${date}.csv`, 'text/csv');
+    });
+
+    renderRows();
+  }
+
+  buildClaimsCSV(claims, types, pageContent) {
+    const escape = (value) => {
+      let text = String(value === undefined || value === null ? '' : value);
+      // Keep spreadsheets from treating a claim as a formula
+      if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [['Claim', 'Type', 'Attribution', 'Source sentence', 'Page', 'URL']];
+    claims.forEach(claim => {
+      rows.push([claim.claim, types[claim.type], claim.speaker, claim.sentence, pageContent.title, pageContent.url]);
+    });
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+  }
+
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  getSentenceTypes() {
+    return [
+      { type: 'fact', label: 'Fact', highlight: 'neutral-summarizer-fact' },
+      { type: 'opinion', label: 'Author\'s opinion', highlight: 'neutral-summarizer-opinion' },
+      { type: 'quoted_opinion', label: 'Quoted opinion', highlight: 'neutral-summarizer-quoted-opinion' }
+    ];
+  }
+
+  // The first toggle classifies the page; later ones only show or hide the colors
+  toggleSentenceHighlights() {
+    if (this.sentenceHighlightsVisible) {
+      this.hideSentenceHighlights();
+      return;
+    }
+    if (!this.pageTextLocator.supportsHighlights()) {
+      alert('This browser cannot color page text: the CSS Custom Highlight API is not available.');
+      return;
+    }
+
+    const cached = this.sentenceHighlights;
+    if (cached && cached.url === window.location.href &&
+        cached.sentences.every(sentence => sentence.range.startContainer.isConnected)) {
+      this.showSentenceHighlights();
+      return;
+    }
+    this.classifySentences();
+  }
+
+  // Sentences are numbered locally and mapped to page ranges first, so the model only returns numbers
+  classifySentences() {
+    let sentences = [];
+    let truncated = false;
+    return this.runPageAnalysis({
+      name: 'sentence highlights',
+      loadingText: 'Sorting facts from opinions...',
+      systemPrompt: `You label the sentences of an article for a reader who wants to tell facts from opinions. Every sentence is numbered like [12]. Return a JSON object with exactly these fields:
+{
+  "fact": [numbers of sentences that report events, data or other checkable statements, even if they might be wrong],
+  "opinion": [numbers of sentences in which the author judges, speculates, recommends or uses evaluative language],
+  "quoted_opinion": [numbers of sentences that quote or report the opinion of someone other than the author]
+}
+Each number belongs to at most one field. Leave out headings, captions and sentences that fit none of them.`,
+      buildUserPrompt: (pageContent) => {
+        const collected = this.collectPageSentences();
+        const paragraphs = collected.paragraphs;
+        truncated = collected.truncated;
+        sentences = paragraphs.flat();
+        if (sentences.length === 0) {
+          throw new Error('No article paragraphs were found on this page');
+        }
+        const text = paragraphs
+          .map(paragraph => paragraph.map(sentence => `[${sentence.id}] ${sentence.text}`).join(' '))
+          .join('\n\n');
+        return `Title: ${pageContent.title}\nURL: ${pageContent.url}\n\nSentences:\n${text}`;
+      },
+      render: (card, result) => this.renderSentenceHighlights(card, sentences, result),
+      isTruncated: () => truncated
+    });
+  }
+
+  // Sentences of the extracted paragraphs, grouped by paragraph and located in each paragraph's own
+  // text nodes, up to the usual content cap; `truncated` is set when paragraphs were left out
+  collectPageSentences() {
+    const maxLength = this.chunker.options.maxContentLength;
+    const paragraphs = [];
+    let length = 0;
+    let id = 1;
+
+    let truncated = false;
+
+    for (const paragraph of this.citationParagraphs) {
+      if (length + paragraph.text.length > maxLength) {
+        truncated = true;
+        break;
+      }
+      length += paragraph.text.length;
+
+      const texts = this.summaryVerifier.splitSentences(paragraph.text);
+      const ranges = this.pageTextLocator.locateSequence(texts, this.pageTextLocator.buildIndex(paragraph.element));
+      const sentences = [];
+      texts.forEach((text, index) => {
+        if (ranges[index]) {
+          sentences.push({ id: id++, text, range: ranges[index] });
+        }
+      });
+      if (sentences.length > 0) {
+        paragraphs.push(sentences);
+      }
+    }
+    return { paragraphs, truncated };
+  }
+
+  renderSentenceHighlights(card, sentences, result) {
+    const typeById = new Map();
+    this.getSentenceTypes().forEach(({ type }) => {
+      (Array.isArray(result[type]) ? result[type] : []).forEach(id => {
+        if (!typeById.has(Number(id))) {
+          typeById.set(Number(id), type);
+        }
+      });
+    });
+
+    this.sentenceHighlights = {
+      url: window.location.href,
+      sentences: sentences
+        .filter(sentence => typeById.has(sentence.id))
+        .map(sentence => ({ range: sentence.range, type: typeById.get(sentence.id) }))
+    };
+    this.showSentenceHighlights();
+
+    const counts = this.countSentenceTypes();
+    card.innerHTML = `
+      <h4>🖍️ Facts and opinions on the page</h4>
+      <div class="neutral-summarizer-highlight-legend-items"></div>
+      <div class="neutral-summarizer-stopped-note"></div>
+    `;
+    this.renderHighlightLegend(card.querySelector('.neutral-summarizer-highlight-legend-items'), counts);
+    card.querySelector('.neutral-summarizer-stopped-note').textContent =
+      `${this.sentenceHighlights.sentences.length} of ${sentences.length} sentences are colored. Use 🖍️ in the header to hide or show them.`;
+  }
+
+  countSentenceTypes() {
+    const counts = {};
+    (this.sentenceHighlights ? this.sentenceHighlights.sentences : []).forEach(sentence => {
+      counts[sentence.type] = (counts[sentence.type] || 0) + 1;
+    });
+    return counts;
+  }
+
+  renderHighlightLegend(container, counts) {
+    container.innerHTML = '';
+    this.getSentenceTypes().forEach(({ type, label }) => {
+      const item = document.createElement('span');
+      item.className = `neutral-summarizer-highlight-legend-item ${type}`;
+      item.textContent = `${label} (${counts[type] || 0})`;
+      container.appendChild(item);
+    });
+  }
+
+  showSentenceHighlights() {
+    this.getSentenceTypes().forEach(({ type, highlight }) => {
+      const ranges = this.sentenceHighlights.sentences
+        .filter(sentence => sentence.type === type)
+        .map(sentence => sentence.range);
+      CSS.highlights.set(highlight, new Highlight(...ranges));
+    });
+    this.sentenceHighlightsVisible = true;
+    this.updateHighlightToggle();
+  }
+
+  hideSentenceHighlights() {
+    if (this.pageTextLocator.supportsHighlights()) {
+      this.getSentenceTypes().forEach(({ highlight }) => CSS.highlights.delete(highlight));
+    }
+    this.sentenceHighlightsVisible = false;
+    this.updateHighlightToggle();
+  }
+
+  updateHighlightToggle() {
+    const toggle = document.getElementById('neutral-summarizer-highlight-toggle');
+    if (toggle) {
+      toggle.classList.toggle('active', this.sentenceHighlightsVisible);
+      toggle.title = this.sentenceHighlightsVisible ? 'Hide fact and opinion colors' : 'Color facts and opinions on the page';
+    }
+
+    const legend = document.getElementById('neutral-summarizer-highlight-legend');
+    if (legend) {
+      legend.hidden = !this.sentenceHighlightsVisible;
+      if (this.sentenceHighlightsVisible) {
+        this.renderHighlightLegend(legend, this.countSentenceTypes());
+      }
+    }
+  }
+
+  // A collapsible list of findings; findings that quote a sentence can jump to it on the page.
+  // `index` is the page text index the whole report shares.
+  createReportSection(title, findings, index) {
+    const section = document.createElement('details');
+    section.className = 'neutral-summarizer-report-section';
+    section.open = findings.length > 0;
+    section.innerHTML = `<summary></summary>`;
+    section.querySelector('summary').textContent = `${title} (${findings.length})`;
+
+    if (findings.length === 0) {
+      section.insertAdjacentHTML('beforeend', '<div class="neutral-summarizer-report-empty">Nothing found</div>');
+      return section;
+    }
+
+    findings.forEach(finding => {
+      const item = document.createElement('div');
+      item.className = `neutral-summarizer-report-finding ${finding.tone || ''}`;
+      item.innerHTML = `<strong></strong><div class="neutral-summarizer-report-detail"></div>`;
+      item.querySelector('strong').textContent = finding.title || '';
+      item.querySelector('.neutral-summarizer-report-detail').textContent = finding.detail || '';
+
+      if (finding.sentence) {
+        const quote = document.createElement('blockquote');
+        quote.textContent = finding.sentence;
+        item.appendChild(quote);
+
+        const range = this.pageTextLocator.find(finding.sentence, index);
+        const jumpBtn = this.createActionButton(range ? '↗ Show on page' : 'Not found on page', finding.sentence, () => this.revealOnPage(finding.sentence, range));
+        jumpBtn.disabled = !range;
+        item.appendChild(jumpBtn);
+      }
+
+      section.appendChild(item);
+    });
+    return section;
+  }
+
+  // The overlay is lifted so the highlighted sentence is visible next to the sidebar. A range found
+  // earlier is reused while its text is still on the page; otherwise the page is searched again.
+  revealOnPage(sentence, range = null) {
+    if (!range || !range.startContainer.isConnected || !range.endContainer.isConnected) {
+      range = this.pageTextLocator.find(sentence);
+    }
+    if (!range) return false;
+
+    if (this.overlay) {
+      this.overlay.style.display = 'none';
+    }
+    this.pageTextLocator.reveal(range);
+    return true;
+  }
+
+  // Prefer the element from this page's extraction; after a reload or re-render the saved paragraph text is searched instead
+  revealCitation(messageEl, id, chip) {
+    const turn = messageEl && this.messageTurns.get(messageEl);
+    const variant = turn && turn.variants ? turn.variants[turn.activeVariant] : null;
+    const saved = variant && variant.citations ? variant.citations[id] : null;
+    const paragraph = this.citationParagraphs[id - 1];
+
+    let found = false;
+    if (paragraph && paragraph.element.isConnected && (!saved || paragraph.text.startsWith(saved))) {
+      const range = document.createRange();
+      range.selectNodeContents(paragraph.element);
+      if (this.overlay) {
+        this.overlay.style.display = 'none';
+      }
+      this.pageTextLocator.reveal(range);
+      found = true;
+    } else if (saved) {
+      found = this.revealOnPage(saved);
+    }
+
+    chip.classList.toggle('missing', !found);
+    chip.title = found ? `Show paragraph ${id} on the page` : `Paragraph ${id} is no longer on the page`;
+  }
+
+  // Check an answer against the page it came from; runs after the summary when enabled, or from the 🔍 action
+  async verifyMessage(aiMsg, turn) {
+    const controller = this.beginStreaming();
+    try {
+      const settings = await this.getSettings();
+      const pageContent = this.lastPageContent && this.lastPageContent.url === window.location.href ?
+        this.lastPageContent :
+        await this.extractPageContent(null, settings.siteRule);
+      await this.verifyAnswer(aiMsg, turn, pageContent, settings, controller);
+    } catch (error) {
+      console.error('Error preparing summary check:', error);
+    } finally {
+      this.endStreaming(controller);
+    }
+  }
+
+  async verifyAnswer(aiMsg, turn, pageContent, settings, controller) {
+    const variant = turn.variants[turn.activeVariant];
+    const candidates = this.summaryVerifier.buildCandidates(
+      this.summaryVerifier.splitStatements(variant.content),
+      pageContent.content
+    );
+    if (candidates.length === 0) return;
+
+    const status = document.createElement('div');
+    status.className = 'neutral-summarizer-verify-summary';
+    status.textContent = `🔍 Checking ${candidates.length} statements against the page...`;
+    aiMsg.insertBefore(status, aiMsg.querySelector(':scope > .neutral-summarizer-message-footer'));
+
+    try {
+      await this.enforceBudget(settings, null);
+
+      const languages = this.resolveLanguages(settings, pageContent);
+      const statementList = candidates.map(candidate => {
+        const passages = candidate.passages.length > 0 ?
+          candidate.passages.map((passage, i) => `  [${candidate.id}.${i + 1}] ${passage.text}`).join('\n') :
+          '  (no matching passage found)';
+        return `Statement ${candidate.id}: ${candidate.statement}\nPassages:\n${passages}`;
+      }).join('\n\n');
+
+      const requestBody = {
+        model: settings.modelName,
+        messages: [
+          {
+            role: 'system',
+            content: `You check whether a summary is faithful to its source. For each numbered statement, judge it only against the source passages listed under it (they may be in another language than the statement). Return a JSON object:
+{"results": [{"id": 1, "verdict": "supported" | "partial" | "unsupported", "evidence": "the passage text that best supports it, copied exactly, or empty", "note": "one short sentence on what is missing or contradicted, empty when supported"}]}
+Use "partial" when only part of the statement is backed or a detail (number, name, date, certainty) differs. Write notes in ${languages.output || 'the language of the statements'}. Respond with the JSON object only.`
+          },
+          { role: 'user', content: statementList }
+        ],
+        max_completion_tokens: settings.maxTokens || 4096,
+        temperature: 0,
+        stream: false
+      };
+
+      const { response, adapter, model } = await this.sendCompletionRequest(requestBody, settings, {}, controller.signal, (text) => {
+        status.textContent = `🔍 ${text}`;
+      });
+      const result = adapter.parseResponse(await response.json());
+      await this.recordUsage(result.usage, model, settings);
+
+      variant.verification = this.summaryVerifier.combine(candidates, this.parseJSONContent(result.content).results);
+      this.saveConversation();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        status.remove();
+        return;
+      }
+      console.error('Error checking summary:', error);
+      status.textContent = `🔍 Check failed: ${error.message}`;
+      return;
+    }
+
+    if (this.conversation.hasTurn(turn) && turn.variants[turn.activeVariant] === variant) {
+      this.renderAssistantMessage(aiMsg, turn);
+    } else {
+      status.remove();
+    }
+  }
+
+  // Markers go after each statement, last first so earlier text positions stay valid
+  renderVerification(aiMsg, verification) {
+    const ignoreSelector = '.neutral-summarizer-reasoning, .neutral-summarizer-stopped-note, .neutral-summarizer-bilingual-label, .neutral-summarizer-verify-marker, .neutral-summarizer-citation';
+    const index = this.pageTextLocator.buildIndex(aiMsg, ignoreSelector);
+    const labels = { supported: 'Supported', partial: 'Partly supported', unsupported: 'Not found in the page' };
+    const symbols = { supported: '✓', partial: '~', unsupported: '✗' };
+
+    verification
+      .map(result => ({ result, range: this.pageTextLocator.find(result.statement, index) }))
+      .filter(item => item.range)
+      .sort((a, b) => b.range.compareBoundaryPoints(Range.END_TO_END, a.range))
+      .forEach(({ result, range }) => {
+        const marker = document.createElement('span');
+        marker.className = `neutral-summarizer-verify-marker ${result.verdict}`;
+        marker.textContent = symbols[result.verdict];
+        marker.tabIndex = 0;
+        marker.dataset.tooltip = [
+          labels[result.verdict],
+          result.evidence && `“${result.evidence}”`,
+          result.note
+        ].filter(Boolean).join('\n');
+
+        range.collapse(false);
+        range.insertNode(marker);
+      });
+
+    const counts = this.summaryVerifier.countVerdicts(verification);
+    const summary = document.createElement('div');
+    summary.className = 'neutral-summarizer-verify-summary';
+    summary.textContent = `🔍 ${verification.length} statements checked: ${counts.supported} supported · ${counts.partial} partly · ${counts.unsupported} unsupported`;
+    aiMsg.appendChild(summary);
+  }
+
+  getProviderAdapter(settings) {
+    return this.providerAdapters[settings.providerType] || this.providerAdapters.openai;
+  }
+
+  // Local servers run without a key
+  hasRequiredApiKey(settings) {
+    return !this.getProviderAdapter(settings).requiresApiKey() || !!(settings.apiKey || settings.dumplingApiKey);
+  }
+
+  // POST a completion through the adapter of the active provider; resolves once a response is OK.
+  // Rate limits and server errors are retried with backoff, then the profile's fallback models are
+  // tried in order. `onStatus` receives progress text; the resolved `model` is the one that answered.
+  async sendCompletionRequest(requestBody, settings, extraHeaders, signal, onStatus = null) {
+    const adapter = this.getProviderAdapter(settings);
+    const apiKey = settings.apiKey || settings.dumplingApiKey;
+
+    // OpenRouter's switch for hybrid reasoning models; the Ollama adapter maps it to `think`
+    if (settings.reasoningMode === 'skip' && adapter.acceptsReasoningSwitch(settings.baseUrl)) {
+      requestBody = { ...requestBody, reasoning: { enabled: false } };
+    }
+
+    const models = [requestBody.model, ...(settings.fallbackModels || [])]
+      .filter((model, index, list) => model && list.indexOf(model) === index);
+    if (models.length === 0) {
+      throw new Error('No model configured. Choose a model in Settings.');
+    }
+    let lastError = null;
+
+    for (const model of models) {
+      if (model !== requestBody.model && onStatus) {
+        onStatus(`${lastError ? lastError.message : 'No model configured'}. Trying fallback model ${model}...`);
+      }
+
+      for (let attempt = 0; attempt <= this.retryOptions.maxRetries; attempt++) {
+        let response;
+        try {
+          response = await fetch(adapter.getCompletionUrl(settings.baseUrl), {
+            method: 'POST',
+            headers: adapter.buildHeaders(apiKey, {
+              ...(adapter.acceptsAttribution(settings.baseUrl) ? this.getAttributionHeaders() : {}),
+              ...this.getProfileHeaders(settings),
+              ...extraHeaders
+            }),
+            body: JSON.stringify(adapter.buildBody({ ...requestBody, model: model }, settings.baseUrl)),
+            signal: signal
+          });
+        } catch (error) {
+          if (signal.aborted) throw error;
+          // Network failure: worth another attempt like a 5xx
+          response = null;
+          lastError = new Error(`Network error: ${error.message}`);
+        }
+
+        if (response && response.ok) {
+          return { response, adapter, model };
+        }
+
+        if (response) {
+          lastError = new Error(`API request failed with status ${response.status}`);
+          lastError.status = response.status;
+          // Release the connection; only the headers are needed for the retry delay
+          if (response.body) {
+            response.body.cancel().catch(() => {});
+          }
+        }
+
+        // Not a transient failure: move on to the next model
+        if (response && !this.retryOptions.retryStatuses.includes(response.status)) {
+          break;
+        }
+        if (attempt === this.retryOptions.maxRetries) {
+          break;
+        }
+
+        const delay = this.getRetryDelay(response, attempt);
+        if (onStatus) {
+          onStatus(`${lastError.message}. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 2} of ${this.retryOptions.maxRetries + 1})...`);
+        }
+        await this.wait(delay, signal);
+      }
+
+      // Every model shares the same credentials
+      if (lastError.status === 401 || lastError.status === 403) {
+        throw lastError;
+      }
+    }
+
+    if (models.length > 1) {
+      lastError.message += ` (tried ${models.join(', ')})`;
+    }
+    throw lastError;
+  }
+
+  // Add a completion's usage to the session meter; resolves with its cost in USD, or null
+  // when no price is known for the model
+  async recordUsage(usage, model, settings) {
+    if (!usage) return null;
+
+    const cost = await this.estimateCost(usage, model, settings);
+    this.sessionUsage.promptTokens += usage.prompt_tokens || 0;
+    this.sessionUsage.completionTokens += usage.completion_tokens || 0;
+    if (cost === null) {
+      this.sessionUsage.hasUnknownCost = true;
+    } else {
+      this.sessionUsage.cost += cost;
+    }
+
+    this.renderSessionUsage();
+
+    try {
+      await this.usageTracker.record(usage, cost, model, window.location.hostname);
+    } catch (error) {
+      console.error('Error recording usage:', error);
+    }
+
+    return cost;
+  }
+
+  // Compare today's and this month's usage with the configured caps. Resolves with a
+  // message describing the first cap that has been reached, or null.
+  async checkBudget(settings) {
+    const caps = [
+      { period: 'daily', tokens: settings.dailyTokenCap, spend: settings.dailySpendCap },
+      { period: 'monthly', tokens: settings.monthlyTokenCap, spend: settings.monthlySpendCap }
+    ].filter(cap => cap.tokens > 0 || cap.spend > 0);
+    if (caps.length === 0) return null;
+
+    for (const cap of caps) {
+      const totals = cap.period === 'daily' ?
+        await this.usageTracker.getTodayTotals() :
+        await this.usageTracker.getMonthTotals();
+      const tokens = totals.promptTokens + totals.completionTokens;
+
+      if (cap.tokens > 0 && tokens >= cap.tokens) {
+        return `The ${cap.period} token budget of ${cap.tokens.toLocaleString()} has been reached (${tokens.toLocaleString()} used)`;
+      }
+      if (cap.spend > 0 && totals.cost >= cap.spend) {
+        return `The ${cap.period} spend budget of ${this.formatCost(cap.spend)} has been reached (${this.formatCost(totals.cost)} spent)`;
+      }
+    }
+
+    return null;
+  }
+
+  // Block the request or show a warning above it, depending on the budget action
+  async enforceBudget(settings, chatMessages, beforeEl = null) {
+    let message = null;
+    try {
+      message = await this.checkBudget(settings);
+    } catch (error) {
+      console.error('Error checking usage budget:', error);
+    }
+    if (!message) return;
+
+    if (settings.budgetAction === 'block') {
+      throw new Error(`${message}. Raise the cap in Settings → Usage to continue.`);
+    }
+
+    if (chatMessages) {
+      const warningMsg = document.createElement('div');
+      warningMsg.className = 'neutral-summarizer-message error';
+      warningMsg.innerHTML = `
+        <strong>⚠️ Budget Warning</strong><br>
+        <span></span>
+      `;
+      warningMsg.querySelector('span').textContent = `${message}.`;
+      if (beforeEl && beforeEl.parentNode === chatMessages) {
+        chatMessages.insertBefore(warningMsg, beforeEl);
+      } else {
+        chatMessages.appendChild(warningMsg);
+      }
+    }
+  }
+
+  // OpenRouter reports the billed cost itself; otherwise use the price table
+  async estimateCost(usage, model, settings) {
+    if (typeof usage.cost === 'number') {
+      return usage.cost;
+    }
+
+    const pricing = await this.getModelPricing(model, settings);
+    if (!pricing) return null;
+
+    return ((usage.prompt_tokens || 0) * pricing.prompt +
+      (usage.completion_tokens || 0) * pricing.completion) / 1000000;
+  }
+
+  // Prices per 1M tokens: user-entered prices win over the provider's /models listing
+  async getModelPricing(model, settings) {
+    const userPrices = settings.modelPrices || {};
+    if (userPrices[model]) {
+      return userPrices[model];
+    }
+
+    try {
+      const entry = await this.modelCatalog.getCached(settings.baseUrl);
+      const listed = entry && this.modelCatalog.findModel(entry.models, model);
+      if (listed && listed.pricing.prompt !== null && listed.pricing.completion !== null) {
+        return listed.pricing;
+      }
+    } catch (error) {
+      console.error('Error reading model prices:', error);
+    }
+
+    return null;
+  }
+
+  formatCost(cost) {
+    if (cost === 0) return '$0';
+    return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
+  formatUsage(usage, cost) {
+    const tokens = `${(usage.prompt_tokens || 0).toLocaleString()} in / ${(usage.completion_tokens || 0).toLocaleString()} out tokens`;
+    return typeof cost === 'number' ? `${tokens} · ${this.formatCost(cost)}` : tokens;
+  }
+
+  async renderUsageDashboard() {
+    const dashboard = document.getElementById('neutral-summarizer-usage-dashboard');
+    const rangeSelect = document.getElementById('neutral-summarizer-usage-range');
+    if (!dashboard || !rangeSelect) return;
+
+    const now = new Date();
+    const fromDate = rangeSelect.value === 'month' ?
+      new Date(now.getFullYear(), now.getMonth(), 1) :
+      new Date(now.getFullYear(), now.getMonth(), now.getDate() - (parseInt(rangeSelect.value) - 1));
+
+    let days = [];
+    try {
+      await this.usageTracker.prune();
+      days = await this.usageTracker.getDays(fromDate);
+    } catch (error) {
+      console.error('Error loading usage data:', error);
+    }
+
+    const summary = this.usageTracker.summarize(days);
+    const totalTokens = summary.totals.promptTokens + summary.totals.completionTokens;
+
+    dashboard.innerHTML = `
+      <div class="neutral-summarizer-usage-totals">
+        <div><strong>${totalTokens.toLocaleString()}</strong><span>tokens</span></div>
+        <div><strong>${this.formatCost(summary.totals.cost)}</strong><span>spent</span></div>
+        <div><strong>${summary.totals.requests.toLocaleString()}</strong><span>requests</span></div>
+      </div>
+    `;
+
+    if (summary.totals.unpricedRequests > 0) {
+      const note = document.createElement('small');
+      note.className = 'neutral-summarizer-usage-note';
+      note.textContent = `${summary.totals.unpricedRequests} request(s) used models without a known price and are not included in the spend.`;
+      dashboard.appendChild(note);
+    }
+
+    const byDay = {};
+    days.forEach(day => { byDay[day.date] = day.totals; });
+
+    dashboard.appendChild(this.createUsageTable('By day', byDay, false));
+    dashboard.appendChild(this.createUsageTable('By model', summary.models, true));
+    dashboard.appendChild(this.createUsageTable('By site', summary.sites, true));
+  }
+
+  createUsageTable(title, rowsByName, sortByCost) {
+    const rows = Object.entries(rowsByName);
+    if (sortByCost) {
+      rows.sort((a, b) => (b[1].cost - a[1].cost) ||
+        ((b[1].promptTokens + b[1].completionTokens) - (a[1].promptTokens + a[1].completionTokens)));
+    } else {
+      rows.reverse(); // Newest day first
+    }
+
+    const table = document.createElement('div');
+    table.className = 'neutral-summarizer-usage-table';
+    table.innerHTML = `<h5></h5>`;
+    table.querySelector('h5').textContent = title;
+
+    if (rows.length === 0) {
+      table.insertAdjacentHTML('beforeend', '<div class="neutral-summarizer-usage-row empty">No usage recorded</div>');
+      return table;
+    }
+
+    rows.forEach(([name, totals]) => {
+      const row = document.createElement('div');
+      row.className = 'neutral-summarizer-usage-row';
+      row.innerHTML = `<span class="name"></span><span class="tokens"></span><span class="cost"></span>`;
+      row.querySelector('.name').textContent = name;
+      row.querySelector('.name').title = name;
+      row.querySelector('.tokens').textContent = (totals.promptTokens + totals.completionTokens).toLocaleString();
+      row.querySelector('.cost').textContent = this.formatCost(totals.cost);
+      table.appendChild(row);
+    });
+
+    return table;
+  }
+
+  renderSessionUsage() {
+    const sessionUsageEl = document.getElementById('neutral-summarizer-session-usage');
+    if (!sessionUsageEl) return;
+
+    const { promptTokens, completionTokens, cost, hasUnknownCost } = this.sessionUsage;
+    const totalTokens = promptTokens + completionTokens;
+    if (totalTokens === 0) {
+      sessionUsageEl.textContent = '';
+      return;
+    }
+
+    sessionUsageEl.textContent = `This session: ${totalTokens.toLocaleString()} tokens · ` +
+      `${this.formatCost(cost)}${hasUnknownCost ? ' + unpriced models' : ''}`;
+  }
+
+  // Retry-After (seconds or an HTTP date) wins; otherwise exponential backoff with jitter
+  getRetryDelay(response, attempt) {
+    const retryAfter = response && response.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(delay) && delay >= 0) {
+        return Math.min(delay, this.retryOptions.maxDelay);
+      }
+    }
+
+    const backoff = this.retryOptions.baseDelay * Math.pow(2, attempt);
+    return Math.min(backoff + Math.random() * this.retryOptions.baseDelay, this.retryOptions.maxDelay);
+  }
+
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Error frames a provider sends when it is busy rather than when the request is wrong
+  isTransientStreamError(error) {
+    return /^Stream error/.test(error.message) &&
+      /overload|rate.?limit|capacity|timeout|timed out|unavailable|try again|\b(429|500|502|503|504|529)\b/i.test(error.message);
+  }
+
+  // Stream a chat completion into an AI message (a new one unless `aiMsg` is given).
+  // Resolves with the generated text; `stopped` is set when the user pressed Stop
+  // and `cancelled` when the request was discarded because the chat was cleared or replaced.
+  async streamCompletion(requestBody, settings, extraHeaders, controller, loadingMsg, chatMessages, aiMsg = null) {
+    let fullContent = '';
+    let fullReasoning = '';
+    let finishReason = null;
+    let usage = null;
+    let answeringModel = requestBody.model;
+    let fallbackFor = null;
+    const showReasoning = (settings.reasoningMode || 'show') === 'show';
+
+    try {
+      // Make streaming API call
+      await this.enforceBudget(settings, chatMessages, loadingMsg || aiMsg);
+
+      const onStatus = (text) => {
+        if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+          loadingMsg.textContent = text;
+        } else if (aiMsg) {
+          aiMsg.textContent = text;
+        }
+      };
+      // A stream that fails with a busy error before any text arrived is retried like a failed
+      // response: first on the same model with backoff, then on the remaining fallback models
+      let models = [requestBody.model, ...(settings.fallbackModels || [])]
+        .filter((model, index, list) => model && list.indexOf(model) === index);
+      let streamAttempt = 0;
+
+      for (;;) {
+        const { response, adapter, model } = await this.sendCompletionRequest(
+          { ...requestBody, model: models[0] },
+          { ...settings, fallbackModels: models.slice(1) },
+          extraHeaders, controller.signal, onStatus
+        );
+        answeringModel = model;
+        fallbackFor = model !== requestBody.model ? requestBody.model : null;
+
+        // Remove loading message and create streaming message
+        if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+          chatMessages.removeChild(loadingMsg);
+        }
+
+        // Create streaming AI message
+        if (!aiMsg) {
+          aiMsg = document.createElement('div');
+          aiMsg.className = 'neutral-summarizer-message ai';
+          chatMessages.appendChild(aiMsg);
+        }
+        aiMsg.classList.add('streaming');
+        aiMsg.innerHTML = '';
+
+        try {
+          // Read the stream
+          for await (const event of adapter.streamEvents(response)) {
+            if (event.type === 'content' || (event.type === 'reasoning' && showReasoning)) {
+              if (event.type === 'content') {
+                fullContent += event.content;
+              } else {
+                fullReasoning += event.content;
+              }
+
+              // Update the streaming message
+              this.updateStreamingMessage(aiMsg, fullContent, fullReasoning);
+
+              // Auto-scroll to bottom
+              chatMessages.scrollTop = chatMessages.scrollHeight;
+            } else if (event.type === 'finish') {
+              finishReason = event.reason;
+            } else if (event.type === 'usage') {
+              usage = event.usage;
+            } else if (event.type === 'model') {
+              answeringModel = event.model;
+            }
+          }
+          break;
+        } catch (error) {
+          if (controller.signal.aborted || fullContent || fullReasoning || !this.isTransientStreamError(error)) {
+            throw error;
+          }
+
+          models = models.slice(models.indexOf(model));
+          if (streamAttempt < this.retryOptions.maxRetries) {
+            const delay = this.getRetryDelay(null, streamAttempt);
+            streamAttempt++;
+            onStatus(`${error.message}. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${streamAttempt + 1} of ${this.retryOptions.maxRetries + 1})...`);
+            await this.wait(delay, controller.signal);
+          } else {
+            models = models.slice(1);
+            if (models.length === 0) throw error;
+            streamAttempt = 0;
+            onStatus(`${error.message}. Trying fallback model ${models[0]}...`);
+          }
+        }
+      }
+
+      // Remove streaming cursor and finalize message
+      aiMsg.innerHTML = this.formatMarkdown(fullContent);
+      aiMsg.classList.remove('streaming');
+
+      const cost = await this.recordUsage(usage, answeringModel, settings);
+
+      return { content: fullContent, reasoning: fullReasoning, model: answeringModel, fallbackFor: fallbackFor, aiMsg: aiMsg, stopped: false, cancelled: false, finishReason: finishReason, usage: usage, cost: cost };
+
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw error;
+      }
+
+      if (this.activeRequest !== controller) {
+        return { content: fullContent, reasoning: fullReasoning, model: answeringModel, fallbackFor: fallbackFor, aiMsg: aiMsg, stopped: false, cancelled: true };
+      }
+
+      // Keep whatever was streamed before the user pressed Stop
+      aiMsg = this.finalizeStoppedMessage(aiMsg, fullContent, loadingMsg, chatMessages);
+      return { content: fullContent, reasoning: fullReasoning, model: answeringModel, fallbackFor: fallbackFor, aiMsg: aiMsg, stopped: true, cancelled: false };
+    }
+  }
+
+  // Helper method to sanitize header values to ensure ISO-8859-1 compliance
+  sanitizeHeaderValue(value) {
+    if (!value) return '';
+    
+    // Convert to string if not already
+    const stringValue = String(value);
+    
+    // Remove or replace non-ISO-8859-1 characters
+    return stringValue
+      .replace(/[^\x00-\xFF]/g, '') // Remove non-ISO-8859-1 characters
+      .replace(/[\x00-\x1F\x7F]/g, ''); // Remove control characters except space
+  }
+
+  // OpenRouter's app attribution, sent only to providers whose adapter accepts it
+  getAttributionHeaders() {
+    return {
+      'HTTP-Referer': this.sanitizeHeaderValue(window.location.href),
+      'X-Title': this.sanitizeHeaderValue(document.title)
+    };
+  }
+
+  // Extra headers configured on the active profile, made safe for fetch()
+  getProfileHeaders(settings) {
+    const headers = {};
+    Object.entries(settings.extraHeaders || {}).forEach(([name, value]) => {
+      const headerName = this.sanitizeHeaderValue(name).trim();
+      if (headerName) {
+        headers[headerName] = this.sanitizeHeaderValue(value);
+      }
+    });
+    return headers;
+  }
+
+  formatMarkdown(text) {
+    // Simple markdown formatting for basic elements
+    return text
+      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.*?)\*/g, '<em>$1</em>')
+      .replace(/`(.*?)`/g, '<code>$1</code>')
+      .replace(/\n\n/g, '<br><br>')
+      .replace(/^(#+)\s+(.*)$/gm, '<h4>$2</h4>')
+      .replace(/^- (.*?)$/gm, '<li>$1</li>')
+      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
+      .replace(this.citationPattern, (match, ids) => ids.split(/\s*,\s*P?/)
+        .map(id => `<button class="neutral-summarizer-citation" data-paragraph="${id}" title="Show paragraph ${id} on the page">${id}</button>`)
+        .join(''));
+  }
+
+  clearChat() {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (chatMessages) {
+      chatMessages.innerHTML = '';
+    }
+    this.cancelStreaming();
+    this.conversation.reset();
+  }
+
+  // Streaming state: one request at a time, the Send button turns into Stop while it runs
+  beginStreaming() {
+    this.cancelStreaming();
+    const controller = new AbortController();
+    this.activeRequest = controller;
+    this.updateSendButton(true);
+    this.refreshMessageActions();
+    return controller;
+  }
+
+  endStreaming(controller) {
+    if (this.activeRequest === controller) {
+      this.activeRequest = null;
+      this.updateSendButton(false);
+      this.refreshMessageActions();
+    }
+  }
+
+  // Stop keeps the partial answer
+  stopStreaming() {
+    if (this.activeRequest) {
+      this.activeRequest.abort();
+    }
+  }
+
+  // Cancel discards the request entirely (used when the chat is cleared or replaced)
+  cancelStreaming() {
+    const controller = this.activeRequest;
+    if (!controller) return;
+
+    this.activeRequest = null;
+    this.updateSendButton(false);
+    controller.abort();
+  }
+
+  updateSendButton(isStreaming) {
+    const sendBtn = document.getElementById('neutral-summarizer-send-btn');
+    if (!sendBtn) return;
+
+    sendBtn.classList.toggle('stop', isStreaming);
+    sendBtn.title = isStreaming ? 'Stop generating' : 'Send message';
+    sendBtn.innerHTML = isStreaming
+      ? '<span class="neutral-summarizer-btn-icon">⏹️</span>Stop'
+      : '<span class="neutral-summarizer-btn-icon">📤</span>Send';
+  }
+
+  // Reasoning streams into a collapsible block above the answer; the block folds
+  // itself away once the answer starts
+  updateStreamingMessage(aiMsg, content, reasoning) {
+    let answerEl = aiMsg.querySelector('.neutral-summarizer-answer');
+    if (!answerEl) {
+      aiMsg.innerHTML = '';
+      answerEl = document.createElement('div');
+      answerEl.className = 'neutral-summarizer-answer';
+      aiMsg.appendChild(answerEl);
+    }
+
+    let reasoningEl = aiMsg.querySelector('.neutral-summarizer-reasoning');
+    if (reasoning && !reasoningEl) {
+      reasoningEl = this.createReasoningBlock(reasoning, true);
+      aiMsg.insertBefore(reasoningEl, answerEl);
+    }
+
+    if (reasoningEl) {
+      reasoningEl.querySelector('.neutral-summarizer-reasoning-text').textContent = reasoning;
+      if (content && reasoningEl.classList.contains('thinking')) {
+        reasoningEl.classList.remove('thinking');
+        reasoningEl.open = false;
+        reasoningEl.querySelector('summary').textContent = '💭 Reasoning';
+      }
+    }
+
+    answerEl.innerHTML = this.formatMarkdown(content) + '<span class="streaming-cursor">▋</span>';
+  }
+
+  createReasoningBlock(reasoning, isThinking) {
+    const block = document.createElement('details');
+    block.className = 'neutral-summarizer-reasoning';
+    block.classList.toggle('thinking', isThinking);
+    block.open = isThinking;
+    block.innerHTML = `
+      <summary>${isThinking ? '💭 Thinking...' : '💭 Reasoning'}</summary>
+      <div class="neutral-summarizer-reasoning-text"></div>
+    `;
+    block.querySelector('.neutral-summarizer-reasoning-text').textContent = reasoning;
+    return block;
+  }
+
+  finalizeStoppedMessage(aiMsg, fullContent, loadingMsg, chatMessages) {
+    if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+      chatMessages.removeChild(loadingMsg);
+    }
+
+    if (!aiMsg) {
+      aiMsg = document.createElement('div');
+      aiMsg.className = 'neutral-summarizer-message ai';
+      chatMessages.appendChild(aiMsg);
+    }
+
+    aiMsg.innerHTML = this.formatMarkdown(fullContent) +
+      '<div class="neutral-summarizer-stopped-note">⏹️ Stopped</div>';
+    aiMsg.classList.remove('streaming');
+    aiMsg.classList.add('stopped');
+    return aiMsg;
+  }
+
+  sendMessage() {
+    const chatInput = document.getElementById('neutral-summarizer-chat-input');
+    
+    if (!chatInput || !chatInput.value.trim()) return;
+
+    // Get user input and clear
+    const userInput = chatInput.value;
+    chatInput.value = '';
+
+    this.submitUserMessage(userInput);
+  }
+
+  submitUserMessage(userInput) {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    // Remove any existing loading messages first
+    const existingLoadingMsgs = chatMessages.querySelectorAll('.neutral-summarizer-message.loading');
+    existingLoadingMsgs.forEach(msg => {
+      if (msg.parentNode === chatMessages) {
+        chatMessages.removeChild(msg);
+      }
+    });
+
+    // Add user message
+    const userMsg = document.createElement('div');
+    userMsg.className = 'neutral-summarizer-message user';
+    userMsg.textContent = userInput;
+    chatMessages.appendChild(userMsg);
+
+    // Add loading message
+    const loadingMsg = document.createElement('div');
+    loadingMsg.className = 'neutral-summarizer-message loading';
+    loadingMsg.textContent = 'AI is thinking...';
+    chatMessages.appendChild(loadingMsg);
+
+    const controller = this.beginStreaming();
+
+    // Get current settings and page content
+    this.getSettings()
+      .then((settings) => this.performChatResponse(userInput, settings, loadingMsg, chatMessages, controller, userMsg))
+      .finally(() => this.endStreaming(controller));
+  }
+
+  buildChatSystemPrompt(settings, pageContent) {
+    let systemPrompt = settings.systemPrompt;
+    
+    // Add page context to system prompt
+    systemPrompt += `\n\nPage Context:\nTitle: ${pageContent.title}\nURL: ${pageContent.url}`;
+    
+    if (pageContent.isYouTube) {
+      systemPrompt += `\nPage Type: YouTube Video`;
+      systemPrompt += `\nVideo ID: ${pageContent.youtubeData.videoId || 'Unknown'}`;
+      systemPrompt += `\nChannel: ${pageContent.youtubeData.channelName || 'Unknown'}`;
+      systemPrompt += `\nViews: ${pageContent.youtubeData.viewCount || 'Unknown'}`;
+      systemPrompt += `\nLikes: ${pageContent.youtubeData.likeCount || 'Unknown'}`;
+      
+      if (pageContent.youtubeData.publishDate) {
+        systemPrompt += `\nPublished: ${pageContent.youtubeData.publishDate}`;
+      }
+      
+      // Add a note about YouTube-specific analysis
+      systemPrompt += `\n\nNote: This is a YouTube video. Please provide analysis specific to video content, including visual elements, audio content, and community engagement metrics.`;
+    } else {
+      // Add metadata to context
+      if (pageContent.meta.description) {
+        systemPrompt += `\nDescription: ${pageContent.meta.description}`;
+      }
+      if (pageContent.meta.author) {
+        systemPrompt += `\nAuthor: ${pageContent.meta.author}`;
+      }
+      if (pageContent.meta.publish_date) {
+        systemPrompt += `\nPublished: ${pageContent.meta.publish_date}`;
+      }
+    }
+    
+    // Add content summary for context (limit to avoid overwhelming the AI)
+    const contentSummary = pageContent.content.length > 65536 ? 
+      pageContent.content.substring(0, 65536) + '...[content truncated]' : 
+      pageContent.content;
+    
+    systemPrompt += `\n\nPage Content Summary:\n${contentSummary}`;
+
+    return this.withLanguageInstruction(systemPrompt, settings, pageContent);
+  }
+
+  // The selection leads; the rest of the page is background for references and terms
+  buildSelectionSystemPrompt(settings, pageContent, selection) {
+    const maxLength = this.chunker.options.maxContentLength;
+    const selectedText = selection.length > maxLength ? `${selection.slice(0, maxLength)}...[selection truncated]` : selection;
+
+    return `${this.buildChatSystemPrompt(settings, pageContent)}\n\nSelected Text:\n"""\n${selectedText}\n"""\n\n` +
+      'The user selected the text above on this page. It is the main subject of this conversation: answer about the selection first, ' +
+      'and use the rest of the page only as background, for example to explain names, terms or references the selection relies on.';
+  }
+
+  // Context-menu entry point; the chat is built on the sidebar's first load, so the request may have to wait for it
+  startSelectionChat(action, selectionText) {
+    // The page's own selection keeps the line breaks that the context menu flattens
+    const pageSelection = window.getSelection ? window.getSelection().toString().trim() : '';
+    const selection = pageSelection || String(selectionText || '').trim();
+    if (!selection) return;
+
+    const request = { action, selection };
+    if (document.getElementById('neutral-summarizer-chat-messages')) {
+      this.runSelectionChat(request);
+    } else {
+      this.pendingSelectionChat = request;
+    }
+    this.showSidebar();
+    this.switchTab('content');
+  }
+
+  async runSelectionChat({ action, selection }) {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    this.clearChat();
+    const selectionCard = document.createElement('div');
+    selectionCard.className = 'neutral-summarizer-message ai neutral-summarizer-selection';
+    selectionCard.innerHTML = `
+      <strong>📌 Selected text</strong>
+      <blockquote></blockquote>
+    `;
+    selectionCard.querySelector('blockquote').textContent = selection.length > 600 ? `${selection.slice(0, 600)}…` : selection;
+    chatMessages.appendChild(selectionCard);
+
+    const controller = this.beginStreaming();
+    try {
+      const settings = await this.getSettings();
+      const pageContent = await this.extractPageContent(null, settings.siteRule);
+      if (this.activeRequest !== controller) return;
+      this.conversation.reset(this.buildSelectionSystemPrompt(settings, pageContent, selection));
+    } catch (error) {
+      console.error('Error starting selection chat:', error);
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ Error</strong><br>
+        <span></span>
+      `;
+      errorMsg.querySelector('span').textContent = `Failed to read the page around the selection: ${error.message}`;
+      chatMessages.appendChild(errorMsg);
+      return;
+    } finally {
+      this.endStreaming(controller);
+    }
+
+    const prompts = {
+      summarize: 'Summarize the selected text.',
+      explain: 'Explain the selected text in plain language: what it says, what its terms and references mean, and how it fits into the rest of the page.'
+    };
+    if (prompts[action]) {
+      this.submitUserMessage(prompts[action]);
+      return;
+    }
+
+    const chatInput = document.getElementById('neutral-summarizer-chat-input');
+    if (chatInput) {
+      chatInput.focus();
+    }
+  }
+
+  // Tokens left for the prompt once the completion budget is reserved
+  getPromptTokenBudget(settings) {
+    return (settings.contextWindow || 65536) - (settings.maxTokens || 4096);
+  }
+
+  async performChatResponse(userInput, settings, loadingMsg, chatMessages, controller, userMsg = null) {
+    // Check if API key is available
+    if (!this.hasRequiredApiKey(settings)) {
+      // Remove loading message
+      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      
+      // Add error message
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ Configuration Required</strong><br>
+        Please configure API keys in Settings to enable real AI chat functionality.<br>
+        <small>Go to Settings tab and add your OpenAI API key or DumplingAI API key.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+      return;
+    }
+
+    await this.ensurePageContext(settings);
+    if (this.activeRequest !== controller) return;
+
+    // Page context is only needed when there is no summary, selection or earlier exchange to build on
+    if (this.conversation.isEmpty() && !this.conversation.systemPrompt) {
+      const pageContent = await this.extractPageContent(null, settings.siteRule);
+      if (this.activeRequest !== controller) return;
+      this.conversation.reset(this.buildChatSystemPrompt(settings, pageContent));
+    }
+    const userTurn = this.conversation.addUserMessage(userInput);
+    if (userMsg) {
+      this.renderUserMessage(userMsg, userTurn);
+    }
+
+    const requestBody = {
+      model: settings.modelName,
+      messages: this.conversation.buildMessages(this.getPromptTokenBudget(settings)),
+      // max_tokens: 1000,
+      max_completion_tokens: settings.maxTokens || 4096,
+      temperature: settings.temperature || 0.3,
+      stream: true  // Enable streaming mode
+    };
+
+    try {
+      const result = await this.streamCompletion(requestBody, settings, {}, controller, loadingMsg, chatMessages);
+      if (result.cancelled) return;
+
+      if (!result.content) {
+        this.conversation.removeLastTurn();
+        return;
+      }
+
+      const turn = this.conversation.addAssistantMessage(result.content, false, {
+        model: result.model,
+        citations: this.collectCitations(result.content),
+        fallbackFor: result.fallbackFor,
+        stopped: result.stopped,
+        finishReason: result.finishReason,
+        reasoning: result.reasoning,
+        usage: result.usage,
+        cost: result.cost
+      });
+      this.renderAssistantMessage(result.aiMsg, turn);
+      this.saveConversation();
+
+    } catch (error) {
+      console.error('Chat API error:', error);
+      this.conversation.removeLastTurn();
+      
+      // Remove loading message
+      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
+        chatMessages.removeChild(loadingMsg);
+      }
+      
+      // Add error message
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ API Error</strong><br>
+        Failed to get response: ${error.message}<br>
+        <small>Please check your API keys and network connection.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+    }
+  }
+
+  async regenerateResponse(aiMsg, turn, overrides = {}) {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages || this.activeRequest || this.conversation.getLastTurn() !== turn) return;
+
+    // Claim the stream before any await so a second click cannot start another regeneration
+    const controller = this.beginStreaming();
+    const settings = await this.getSettings();
+    await this.ensurePageContext(settings);
+    if (this.activeRequest !== controller) return;
+
+    // The answer being replaced must not be part of its own prompt
+    this.conversation.removeLastTurn();
+
+    const requestBody = {
+      model: overrides.modelName || settings.modelName,
+      messages: this.conversation.buildMessages(this.getPromptTokenBudget(settings)),
+      max_completion_tokens: settings.maxTokens || 4096,
+      temperature: overrides.temperature !== undefined ? overrides.temperature : (settings.temperature || 0.3),
+      stream: true
+    };
+
+    aiMsg.innerHTML = '<span class="streaming-cursor">▋</span>';
+
+    try {
+      const result = await this.streamCompletion(requestBody, settings, {}, controller, null, chatMessages, aiMsg);
+      if (result.cancelled) return;
+
+      this.conversation.restoreTurn(turn);
+      if (result.content) {
+        this.conversation.addVariant(turn, result.content, {
+          model: result.model,
+          citations: this.collectCitations(result.content),
+          fallbackFor: result.fallbackFor,
+          stopped: result.stopped,
+          finishReason: result.finishReason,
+          reasoning: result.reasoning,
+          usage: result.usage,
+          cost: result.cost
+        });
+        this.saveConversation();
+      }
+      this.renderAssistantMessage(aiMsg, turn);
+
+    } catch (error) {
+      console.error('Regenerate API error:', error);
+      this.conversation.restoreTurn(turn);
+      this.renderAssistantMessage(aiMsg, turn);
+
+      const errorMsg = document.createElement('div');
+      errorMsg.className = 'neutral-summarizer-message error';
+      errorMsg.innerHTML = `
+        <strong>⚠️ API Error</strong><br>
+        Failed to regenerate response: ${error.message}<br>
+        <small>Please check your API keys and network connection.</small>
+      `;
+      chatMessages.appendChild(errorMsg);
+    } finally {
+      this.endStreaming(controller);
+    }
+  }
+
+  renderUserMessage(userMsg, turn) {
+    userMsg.innerHTML = '';
+    const text = document.createElement('div');
+    text.className = 'neutral-summarizer-message-text';
+    text.textContent = turn.content;
+    userMsg.appendChild(text);
+
+    this.messageTurns.set(userMsg, turn);
+    this.renderMessageActions(userMsg);
+  }
+
+  renderAssistantMessage(aiMsg, turn) {
+    const variant = turn.variants[turn.activeVariant];
+    aiMsg.innerHTML = this.formatAnswer(variant.content);
+    if (variant.stopped) {
+      aiMsg.innerHTML += '<div class="neutral-summarizer-stopped-note">⏹️ Stopped</div>';
+    }
+    if (variant.finishReason === 'length') {
+      aiMsg.innerHTML += '<div class="neutral-summarizer-stopped-note">✂️ Cut off at the response token limit</div>';
+    }
+    if (variant.truncatedAt) {
+      aiMsg.innerHTML += `<div class="neutral-summarizer-stopped-note">✂️ The section summaries were still too long; only their first ${variant.truncatedAt.toLocaleString()} characters were summarized</div>`;
+    }
+    if (variant.reasoning) {
+      aiMsg.insertBefore(this.createReasoningBlock(variant.reasoning, false), aiMsg.firstChild);
+    }
+    if (variant.verification) {
+      this.renderVerification(aiMsg, variant.verification);
+    }
+    if (variant.model) {
+      const footer = document.createElement('div');
+      footer.className = 'neutral-summarizer-message-footer';
+      footer.textContent = [
+        variant.fallbackFor ? `🤖 ${variant.model} · fallback for ${variant.fallbackFor}` : `🤖 ${variant.model}`,
+        variant.usage && this.formatUsage(variant.usage, variant.cost)
+      ].filter(Boolean).join(' · ');
+      aiMsg.appendChild(footer);
+    }
+    aiMsg.classList.remove('streaming');
+    aiMsg.classList.toggle('stopped', !!variant.stopped);
+
+    this.messageTurns.set(aiMsg, turn);
+    this.renderMessageActions(aiMsg);
+  }
+
+  refreshMessageActions() {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    chatMessages.querySelectorAll('.neutral-summarizer-message').forEach(messageEl => {
+      this.renderMessageActions(messageEl);
+    });
+  }
+
+  // Per-message actions: edit for questions, regenerate, variant switching and verification for answers.
+  // Hidden while a response is streaming and for messages no longer in the conversation.
+  renderMessageActions(messageEl) {
+    messageEl.querySelectorAll(':scope > .neutral-summarizer-message-actions, :scope > .neutral-summarizer-regenerate-options')
+      .forEach(el => el.remove());
+
+    const turn = this.messageTurns.get(messageEl);
+    if (!turn || this.activeRequest || !this.conversation.hasTurn(turn)) return;
+
+    const actions = document.createElement('div');
+    actions.className = 'neutral-summarizer-message-actions';
+
+    if (turn.role === 'user') {
+      actions.appendChild(this.createActionButton('✏️ Edit', 'Edit and resend this message', () => {
+        this.startEditingMessage(messageEl, turn);
+      }));
+      messageEl.appendChild(actions);
+      return;
+    }
+
+    if (turn.variants.length > 1) {
+      const switcher = document.createElement('span');
+      switcher.className = 'neutral-summarizer-variant-switcher';
+      const prevBtn = this.createActionButton('‹', 'Previous response', () => this.switchVariant(messageEl, turn, -1));
+      const nextBtn = this.createActionButton('›', 'Next response', () => this.switchVariant(messageEl, turn, 1));
+      prevBtn.disabled = turn.activeVariant === 0;
+      nextBtn.disabled = turn.activeVariant === turn.variants.length - 1;
+
+      const counter = document.createElement('span');
+      counter.textContent = `${turn.activeVariant + 1}/${turn.variants.length}`;
+
+      switcher.append(prevBtn, counter, nextBtn);
+      actions.appendChild(switcher);
+    }
+
+    actions.appendChild(this.createActionButton('🔍 Verify', 'Check each statement against the page', () => {
+      this.verifyMessage(messageEl, turn);
+    }));
+
+    if (this.conversation.getLastTurn() === turn) {
+      const options = this.createRegenerateOptions(messageEl, turn);
+
+      actions.appendChild(this.createActionButton('↻ Regenerate', 'Regenerate this response', () => {
+        this.regenerateResponse(messageEl, turn);
+      }));
+      actions.appendChild(this.createActionButton('⚙️', 'Regenerate with a different model or temperature', () => {
+        options.hidden = !options.hidden;
+      }));
+
+      messageEl.appendChild(actions);
+      messageEl.appendChild(options);
+      return;
+    }
+
+    if (actions.childNodes.length > 0) {
+      messageEl.appendChild(actions);
+    }
+  }
+
+  createActionButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'neutral-summarizer-action-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createRegenerateOptions(aiMsg, turn) {
+    const variant = turn.variants[turn.activeVariant];
+
+    const options = document.createElement('div');
+    options.className = 'neutral-summarizer-regenerate-options';
+    options.hidden = true;
+    options.innerHTML = `
+      <input type="text" class="neutral-summarizer-regenerate-model" placeholder="Model name">
+      <input type="number" class="neutral-summarizer-regenerate-temperature" min="0" max="2" step="0.1" placeholder="Temperature">
+    `;
+
+    const modelInput = options.querySelector('.neutral-summarizer-regenerate-model');
+    const temperatureInput = options.querySelector('.neutral-summarizer-regenerate-temperature');
+    modelInput.value = variant.model || '';
+
+    options.appendChild(this.createActionButton('↻ Regenerate', 'Regenerate with these options', () => {
+      const overrides = {};
+      if (modelInput.value.trim()) {
+        overrides.modelName = modelInput.value.trim();
+      }
+      if (temperatureInput.value !== '') {
+        overrides.temperature = parseFloat(temperatureInput.value);
+      }
+      this.regenerateResponse(aiMsg, turn, overrides);
+    }));
+
+    return options;
+  }
+
+  switchVariant(aiMsg, turn, step) {
+    this.conversation.selectVariant(turn, turn.activeVariant + step);
+    this.renderAssistantMessage(aiMsg, turn);
+    this.saveConversation();
+  }
+
+  async saveConversation() {
+    if (this.conversation.isEmpty()) return;
+
+    try {
+      await this.historyStore.saveConversation(this.conversation.pageUrl, document.title, this.conversation.toJSON());
+    } catch (error) {
+      console.error('Error saving chat history:', error);
+    }
+  }
+
+  // Conversations reopened from history were saved without the page text; extract it again before
+  // the next request. Without it the conversation goes on with the plain system prompt.
+  async ensurePageContext(settings) {
+    if (!this.conversation.pageTextDropped) return;
+
+    let systemPrompt = settings.systemPrompt;
+    try {
+      const pageContent = await this.extractPageContent(null, settings.siteRule);
+      systemPrompt = this.buildChatSystemPrompt(settings, pageContent);
+    } catch (error) {
+      console.error('Error extracting page content for a restored conversation:', error);
+    }
+    this.conversation.restorePageContext(systemPrompt);
+  }
+
+  async restoreConversation() {
+    try {
+      const stored = await this.historyStore.getLatestConversation(window.location.href);
+      if (stored && this.conversation.isEmpty() && !this.activeRequest) {
+        this.showConversation(stored);
+        return true;
       }
+    } catch (error) {
+      console.error('Error restoring chat history:', error);
+    }
+    return false;
+  }
 
-      // Load settings interface
-      const settingsContainer = document.getElementById('neutral-summarizer-settings-container');
-      if (settingsContainer) {
-        console.log('Setting up settings interface...');
-        settingsContainer.innerHTML = `
-          <div class="neutral-summarizer-settings-section">
-            <div class="neutral-summarizer-section-header">
-              <h4>🔌 API Configuration</h4>
-            </div>
-            <div class="neutral-summarizer-settings-form">
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-base-url">
-                  <span class="neutral-summarizer-label-icon">🌐</span>
-                  Base OpenAI Compatible URL
-                </label>
-                <input type="url" id="neutral-summarizer-base-url" placeholder="https://openrouter.ai/api/v1" value="https://openrouter.ai/api/v1">
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-api-key">
-                  <span class="neutral-summarizer-label-icon">🔑</span>
-                  API Key
-                </label>
-                <input type="password" id="neutral-summarizer-api-key" placeholder="Enter your API key">
-              </div>
-              
+  // Restores this page's last conversation, or starts a summary on auto-summarize sites.
+  // When that happens before the sidebar is opened, the action badge tells the user it is ready.
+  async startPageSession() {
+    // A context-menu request that opened the sidebar takes the place of the restored conversation
+    if (this.pendingSelectionChat) {
+      const request = this.pendingSelectionChat;
+      this.pendingSelectionChat = null;
+      await this.runSelectionChat(request);
+      return;
+    }
 
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-dumpling-key">
-                  <span class="neutral-summarizer-label-icon">🥟</span>
-                  DumplingAI API Key
-                </label>
-                <input type="password" id="neutral-summarizer-dumpling-key" placeholder="Enter DumplingAI API key">
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-dumpling-url">
-                  <span class="neutral-summarizer-label-icon">🌐</span>
-                  Dumpling API URL
-                </label>
-                <input type="url" id="neutral-summarizer-dumpling-url" placeholder="https://app.dumplingai.com/api/v1" value="https://app.dumplingai.com/api/v1">
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-pdf2markdown-url">
-                  <span class="neutral-summarizer-label-icon">📄</span>
-                  PDF2Markdown API URL
-                </label>
-                <input type="url" id="neutral-summarizer-pdf2markdown-url" placeholder="https://xtomd.vercel.app/api" value="https://xtomd.vercel.app/api">
-              </div>
-            </div>
-          </div>
-          
-          <div class="neutral-summarizer-settings-section">
-            <div class="neutral-summarizer-section-header">
-              <h4>🤖 Model Configuration</h4>
-            </div>
-            <div class="neutral-summarizer-settings-form">
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-model-name">
-                  <span class="neutral-summarizer-label-icon">🧠</span>
-                  Model Name
-                </label>
-                <input type="text" id="neutral-summarizer-model-name" placeholder="qwen/qwen3-235b-a22b-2507" value="qwen/qwen3-235b-a22b-2507">
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-temperature">
-                  <span class="neutral-summarizer-label-icon">🌡️</span>
-                  Temperature: <span id="neutral-summarizer-temperature-value">0.3</span>
-                </label>
-                <input type="range" id="neutral-summarizer-temperature" min="0" max="2" step="0.1" value="0.3">
-                <small style="color: #6b7280; font-size: calc(var(--neutral-summarizer-font-size, 14px) - 2px); margin-top: 4px;">
-                  Controls randomness: Lower values (0.0-0.5) for more focused responses, higher values (0.5-2.0) for more creative responses
-                </small>
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-system-prompt">
-                  <span class="neutral-summarizer-label-icon">📝</span>
-                  System Prompt
-                </label>
-                <textarea id="neutral-summarizer-system-prompt" rows="8" placeholder="Enter system prompt...">You are a helpful assistant that summarizes web pages. 
-Please provide a concise, neutral summary of the content provided. 
-Focus on the main points and key information.
-Make sure you separate between information and opinions.
-Breakdown them in two separated sessions: "Information" and "Opinions from writer"
-Use markdown format for users to read.
-Notes:
-* If user asks following questions after the summary, just answer them based on available information. You don't need to include "Opinions from writer" session anymore.
-* Show the most important information first</textarea>
-              </div>
-            </div>
-          </div>
-          
-          <div class="neutral-summarizer-settings-section">
-            <div class="neutral-summarizer-section-header">
-              <h4>🎨 Appearance</h4>
-            </div>
-            <div class="neutral-summarizer-settings-form">
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-sidebar-width">
-                  <span class="neutral-summarizer-label-icon">📏</span>
-                  Sidebar Width: <span id="neutral-summarizer-width-value">400px</span>
-                </label>
-                <input type="range" id="neutral-summarizer-sidebar-width" min="300" max="800" value="400">
-              </div>
-              
-              <div class="neutral-summarizer-settings-group">
-                <label for="neutral-summarizer-font-size">
-                  <span class="neutral-summarizer-label-icon">🔤</span>
-                  Font Size: <span id="neutral-summarizer-font-value">14px</span>
-                </label>
-                <input type="range" id="neutral-summarizer-font-size" min="10" max="24" value="14">
-              </div>
-            </div>
-          </div>
-          
-          <div class="neutral-summarizer-settings-actions">
-            <button id="neutral-summarizer-save-settings" class="neutral-summarizer-btn primary">
-              <span class="neutral-summarizer-btn-icon">💾</span>
-              Save Settings
-            </button>
-          </div>
-        `;
-        
-        // Set up settings event listeners
-        this.setupSettingsEventListeners();
-        
-        // Load saved settings into the form
-        setTimeout(() => {
-          this.loadSettingsIntoForm({});
-        }, 100);
-        setTimeout(() => {
-          this.loadSettingsIntoForm({});
-        }, 300);
-        setTimeout(() => {
-          this.loadSettingsIntoForm({});
-        }, 600);
+    const restored = await this.restoreConversation();
+    if (this.activeRequest) return;
+
+    if (restored) {
+      if (this.autoSummarizePending && !this.isVisible) {
+        this.setActionBadge('ready');
+      }
+      return;
+    }
+
+    const settings = await this.getSettings();
+    if (!this.shouldAutoSummarize(settings) || !this.conversation.isEmpty()) return;
+
+    await this.summarizePage();
+    if (!this.isVisible) {
+      this.setActionBadge(this.conversation.isEmpty() ? 'error' : 'ready');
+    }
+  }
+
+  shouldAutoSummarize(settings) {
+    if (!/^https?:$/.test(window.location.protocol) || window.top !== window) return false;
+    if (settings.siteRule && settings.siteRule.autoSummarize) return true;
+
+    const hostname = window.location.hostname;
+    return (settings.autoSummarizeDomains || []).some(pattern => this.siteRules.matchesHost(pattern.trim().toLowerCase(), hostname));
+  }
+
+  // On allowlisted sites the sidebar is built hidden once the page has loaded, which starts the summary
+  async scheduleAutoSummarize() {
+    const settings = await this.getSettings();
+    if (!this.shouldAutoSummarize(settings)) return;
+
+    if (document.readyState !== 'complete') {
+      await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+    await new Promise(resolve => setTimeout(resolve, this.autoSummarizeDelay));
+
+    if (this.sidebarContainer) return;
+    console.log('Auto-summarizing allowlisted page');
+    this.autoSummarizePending = true;
+    this.injectSidebar();
+  }
+
+  setActionBadge(state) {
+    try {
+      chrome.runtime.sendMessage({ type: 'SET_ACTION_BADGE', data: { state } }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('Could not update action badge:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (error) {
+      console.error('Error updating action badge:', error);
+    }
+  }
+
+  // Replace the chat with a stored conversation
+  showConversation(stored) {
+    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
+    if (!chatMessages) return;
+
+    this.clearChat();
+    this.conversation.load(stored);
+
+    this.conversation.turns.forEach(turn => {
+      // The pinned page prompt is sent to the model but never shown
+      if (turn.role === 'user' && turn.pinned) return;
+
+      const messageEl = document.createElement('div');
+      messageEl.className = `neutral-summarizer-message ${turn.role === 'user' ? 'user' : 'ai'}`;
+      chatMessages.appendChild(messageEl);
+
+      if (turn.role === 'user') {
+        this.renderUserMessage(messageEl, turn);
+      } else {
+        this.renderAssistantMessage(messageEl, turn);
       }
+    });
 
-      // Load additional styles for components
-      this.loadComponentStyles();
-      
-      console.log('All components loaded successfully');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+  }
+
+  async renderHistory() {
+    const historyList = document.getElementById('neutral-summarizer-history-list');
+    const historySearch = document.getElementById('neutral-summarizer-history-search');
+    if (!historyList) return;
 
+    const query = historySearch ? historySearch.value.trim().toLowerCase() : '';
+
+    let pages = [];
+    try {
+      pages = await this.historyStore.listPages();
     } catch (error) {
-      console.error('Error loading components:', error);
+      console.error('Error loading chat history:', error);
     }
-  }
 
-  loadComponentStyles() {
-    const styles = `
-      .neutral-summarizer-chat-section {
-        margin-bottom: 20px;
-        background: white;
-        border-radius: 8px;
-        overflow: hidden;
-        border: 1px solid #e5e7eb;
-      }
+    const entries = [];
+    pages.forEach(page => {
+      page.conversations.forEach(conversation => entries.push({ page, conversation }));
+    });
+    entries.sort((a, b) => b.conversation.updatedAt - a.conversation.updatedAt);
 
-      .neutral-summarizer-section-header {
-        padding: 12px 16px;
-        background: #f8fafc;
-        border-bottom: 1px solid #e5e7eb;
-      }
+    const matches = entries.filter(({ page, conversation }) => {
+      if (!query) return true;
+      const searchable = [page.title, page.url, ...conversation.turns.map(turn => turn.content)].join('\n').toLowerCase();
+      return searchable.includes(query);
+    });
 
-      .neutral-summarizer-section-header h4 {
-        margin: 0;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        font-weight: 600;
-        color: #374151;
-      }
+    historyList.innerHTML = '';
 
-      .neutral-summarizer-chat-container {
-        display: flex;
-        flex-direction: column;
-        height: 100%;
-        min-height: 0;
-      }
+    if (matches.length === 0) {
+      historyList.innerHTML = `
+        <div class="neutral-summarizer-history-empty">
+          ${query ? 'No conversations match your search.' : 'No saved conversations yet.'}
+        </div>
+      `;
+      return;
+    }
 
-      .neutral-summarizer-chat-actions {
-        display: flex;
-        gap: 8px;
-        padding: 12px;
-        flex-shrink: 0;
-      }
-      
-      .neutral-summarizer-btn {
-        flex: 1;
-        padding: 10px 16px;
-        border: none;
-        border-radius: 8px;
-        cursor: pointer;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        font-weight: 500;
-        transition: all 0.2s;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        gap: 6px;
-        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-      }
+    matches.forEach(({ page, conversation }) => {
+      historyList.appendChild(this.createHistoryItem(page, conversation));
+    });
+  }
 
-      .neutral-summarizer-btn-icon {
-        font-size: calc(var(--neutral-summarizer-font-size, 14px) + 2px);
-      }
-      
-      .neutral-summarizer-btn.primary {
-        background: #3b82f6;
-        color: white;
-      }
-      
-      .neutral-summarizer-btn.primary:hover {
-        background: #2563eb;
-      }
-      
-      .neutral-summarizer-btn.secondary {
-        background: #e5e7eb;
-        color: #374151;
-      }
-      
-      .neutral-summarizer-btn.secondary:hover {
-        background: #d1d5db;
+  createHistoryItem(page, conversation) {
+    const assistantTurns = conversation.turns.filter(turn => turn.role === 'assistant');
+    const lastAssistant = assistantTurns[assistantTurns.length - 1];
+    const lastVariant = lastAssistant ? lastAssistant.variants[lastAssistant.activeVariant] : null;
+    const preview = lastAssistant ? lastAssistant.content.replace(/[#*`>_-]/g, '').slice(0, 160) : '';
+
+    const item = document.createElement('div');
+    item.className = 'neutral-summarizer-history-item';
+    item.innerHTML = `
+      <div class="neutral-summarizer-history-title"></div>
+      <div class="neutral-summarizer-history-meta"></div>
+      <div class="neutral-summarizer-history-preview"></div>
+      <div class="neutral-summarizer-message-actions"></div>
+    `;
+
+    item.querySelector('.neutral-summarizer-history-title').textContent = page.title || page.url;
+    item.querySelector('.neutral-summarizer-history-meta').textContent = [
+      new Date(conversation.updatedAt).toLocaleString(),
+      `${conversation.turns.filter(turn => !turn.pinned || turn.role === 'assistant').length} messages`,
+      lastVariant && lastVariant.model
+    ].filter(Boolean).join(' · ');
+    item.querySelector('.neutral-summarizer-history-preview').textContent = preview;
+
+    const isCurrentPage = this.historyStore.normalizeUrl(window.location.href) === page.url;
+    const actions = item.querySelector('.neutral-summarizer-message-actions');
+
+    actions.appendChild(this.createActionButton(
+      isCurrentPage ? '💬 Open' : '🔗 Open page',
+      isCurrentPage ? 'Continue this conversation' : page.pageUrl,
+      () => {
+        if (isCurrentPage) {
+          this.showConversation(conversation);
+          this.switchTab('content');
+        } else {
+          window.open(page.pageUrl, '_blank', 'noopener');
+        }
       }
-      
-      #neutral-summarizer-chat-messages {
-        flex: 1;
-        overflow-y: auto;
-        padding: 20px;
-        background: #fafbfc;
-        border-radius: 8px;
-        margin: 0 12px 12px 12px;
-        min-height: 300px;
-        display: flex;
-        flex-direction: column;
+    ));
+    actions.appendChild(this.createActionButton('🗑️ Delete', 'Delete this conversation', async () => {
+      await this.historyStore.deleteConversation(page.url, conversation.id);
+      if (this.conversation.id === conversation.id) {
+        this.clearChat();
       }
+      this.renderHistory();
+    }));
 
-      #neutral-summarizer-chat-messages::-webkit-scrollbar {
-        width: 8px;
-      }
+    return item;
+  }
 
-      #neutral-summarizer-chat-messages::-webkit-scrollbar-track {
-        background: #f1f1f1;
-        border-radius: 4px;
-      }
+  startEditingMessage(userMsg, turn) {
+    userMsg.innerHTML = '';
 
-      #neutral-summarizer-chat-messages::-webkit-scrollbar-thumb {
-        background: #c1c1c1;
-        border-radius: 4px;
-      }
+    const editInput = document.createElement('textarea');
+    editInput.className = 'neutral-summarizer-edit-input';
+    editInput.value = turn.content;
 
-      #neutral-summarizer-chat-messages::-webkit-scrollbar-thumb:hover {
-        background: #a8a8a8;
-      }
-      
-      .neutral-summarizer-message {
-        margin-bottom: 16px;
-        padding: 14px 18px;
-        border-radius: 8px;
-        line-height: 1.5;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        position: relative;
-        animation: fadeIn 0.3s ease-in;
-        flex-shrink: 0;
+    const actions = document.createElement('div');
+    actions.className = 'neutral-summarizer-message-actions';
+    actions.appendChild(this.createActionButton('📤 Save & Send', 'Resend the edited message', () => {
+      const editedText = editInput.value.trim();
+      if (editedText) {
+        this.resendEditedMessage(userMsg, turn, editedText);
       }
+    }));
+    actions.appendChild(this.createActionButton('Cancel', 'Discard changes', () => {
+      this.renderUserMessage(userMsg, turn);
+    }));
 
-      @keyframes fadeIn {
-        from { opacity: 0; transform: translateY(4px); }
-        to { opacity: 1; transform: translateY(0); }
-      }
-      
-      .neutral-summarizer-message.user {
-        background: #dbeafe;
-        margin-left: 20px;
-        color: black;
-      }
-      
-      .neutral-summarizer-message.ai {
-        background: #f3f4f6;
-        margin-right: 20px;
-        color: black;
-      }
-      
-      .neutral-summarizer-message.error {
-        background: #fee2e2;
-        color: #dc2626;
-        border: 1px solid #fecaca;
-        color: black;
-      }
-      
-      .neutral-summarizer-message.loading {
-        background: #f3f4f6;
-        color: #6b7280;
-        font-style: italic;
-        color: black;
-      }
-      
-      .neutral-summarizer-chat-input-container {
-        display: flex;
-        gap: 8px;
-        padding: 12px;
-        flex-shrink: 0;
-      }
+    userMsg.append(editInput, actions);
+    editInput.focus();
+  }
+
+  resendEditedMessage(userMsg, turn, editedText) {
+    this.cancelStreaming();
+    this.conversation.truncateFrom(turn);
+
+    // Everything after the edited message belongs to the old branch of the conversation
+    while (userMsg.nextSibling) {
+      userMsg.nextSibling.remove();
+    }
+    userMsg.remove();
+
+    this.submitUserMessage(editedText);
+  }
+
+  saveSettings() {
+    const promptTemplates = this.getFormTemplates();
+    const invalidType = Object.keys(promptTemplates).find(type => this.promptTemplate.validate(promptTemplates[type]));
+    if (invalidType) {
+      this.selectFormTemplate(invalidType);
+      alert(`The ${invalidType} prompt template is invalid: ${this.promptTemplate.validate(promptTemplates[invalidType])}`);
+      return;
+    }
+
+    const siteRules = this.getFormSiteRules();
+    const invalidRule = siteRules.find(rule => this.siteRules.findInvalidSelector(rule));
+    if (invalidRule) {
+      alert(`The site rule for "${invalidRule.hostPattern}" has an invalid selector: ${this.siteRules.findInvalidSelector(invalidRule)}`);
+      return;
+    }
+
+    if (this.settingsProfiles.length === 0) {
+      this.settingsProfiles = [{ id: 'default', name: 'Default' }];
+      this.editingProfileId = 'default';
+    }
+
+    // Keep the values of the profile being edited before saving the list
+    this.storeFormProfile();
+    const activeProfile = this.settingsProfiles.find(profile => profile.id === this.editingProfileId);
+
+    const settings = {
+      ...this.getProfileValues(activeProfile),
+      profiles: this.settingsProfiles,
+      activeProfileId: activeProfile.id,
+      dumplingApiKey: document.getElementById('neutral-summarizer-dumpling-key').value,
+      dumplingApiUrl: document.getElementById('neutral-summarizer-dumpling-url').value,
+      contextWindow: parseInt(document.getElementById('neutral-summarizer-context-window').value) || 65536,
+      reasoningMode: document.getElementById('neutral-summarizer-reasoning-mode').value,
+      modelPrices: this.parseModelPrices(document.getElementById('neutral-summarizer-model-prices').value),
+      dailyTokenCap: parseInt(document.getElementById('neutral-summarizer-daily-token-cap').value) || 0,
+      dailySpendCap: parseFloat(document.getElementById('neutral-summarizer-daily-spend-cap').value) || 0,
+      monthlyTokenCap: parseInt(document.getElementById('neutral-summarizer-monthly-token-cap').value) || 0,
+      monthlySpendCap: parseFloat(document.getElementById('neutral-summarizer-monthly-spend-cap').value) || 0,
+      budgetAction: document.getElementById('neutral-summarizer-budget-action').value,
+      summaryPresets: this.getFormPresets(),
+      verifySummaries: document.getElementById('neutral-summarizer-verify-summaries').checked,
+      citations: document.getElementById('neutral-summarizer-citations').checked,
+      promptTemplates: promptTemplates,
+      siteRules: siteRules,
+      ...this.getFormLanguageSettings(),
+      autoSummarizeDomains: this.parseDomainList(document.getElementById('neutral-summarizer-auto-summarize-domains').value),
+      systemPrompt: document.getElementById('neutral-summarizer-system-prompt').value,
+      sidebarWidth: parseInt(document.getElementById('neutral-summarizer-sidebar-width').value),
+      fontSize: parseInt(document.getElementById('neutral-summarizer-font-size').value)
+    };
+
+    // Apply settings immediately
+    this.applySettings(settings);
+
+    // Save to Chrome storage
+    this.writeStoredSettings(settings).then(() => {
+      console.log('Settings saved successfully');
+      this.bilingualLayout = settings.bilingualMode;
+      this.siteRule = this.siteRules.findRule(settings.siteRules, window.location.href);
+      this.renderProfileOptions(settings.profiles, settings.activeProfileId);
+      this.renderPresetMenu(settings);
       
-      #neutral-summarizer-chat-input {
-        flex: 1;
-        padding: 12px 16px;
-        border: 1px solid #d1d5db;
-        border-radius: 8px;
-        resize: vertical;
-        min-height: 44px;
-        max-height: 120px;
-        font-family: inherit;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        line-height: 1.4;
-        background: #fafbfc;
-        transition: all 0.2s;
+      // Show success message
+      const saveBtn = document.getElementById('neutral-summarizer-save-settings');
+      if (saveBtn) {
+        const originalText = saveBtn.textContent;
+        saveBtn.textContent = 'Saved!';
+        saveBtn.style.background = '#10b981';
+        setTimeout(() => {
+          saveBtn.textContent = originalText;
+          saveBtn.style.background = '#3b82f6';
+        }, 2000);
       }
+    }).catch((error) => {
+      console.error('Error saving settings:', error);
+      alert(`Settings could not be saved: ${error.message}`);
+    });
+  }
+
+  // Site rules, prompt templates, presets and provider profiles can outgrow storage.sync's 8 KB per-item
+  // limit, so they live in storage.local; values an older version saved to sync are still read until
+  // the next save moves them
+  getLocalSettingKeys() {
+    return ['summaryPresets', 'promptTemplates', 'siteRules', 'profiles'];
+  }
+
+  readStoredSettings() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(this.getDefaultSettings(), (syncSettings) => {
+        chrome.storage.local.get(this.getLocalSettingKeys(), (localSettings) => {
+          resolve({ ...syncSettings, ...localSettings });
+        });
+      });
+    });
+  }
+
+  writeStoredSettings(settings) {
+    const localKeys = this.getLocalSettingKeys();
+    const localSettings = {};
+    const syncSettings = {};
+    Object.entries(settings).forEach(([key, value]) => {
+      (localKeys.includes(key) ? localSettings : syncSettings)[key] = value;
+    });
+
+    const run = (area, method, value) => new Promise((resolve, reject) => {
+      chrome.storage[area][method](value, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    return run('local', 'set', localSettings)
+      .then(() => run('sync', 'set', syncSettings))
+      .then(() => run('sync', 'remove', Object.keys(localSettings)));
+  }
+
+  // Connection settings that belong to a provider profile rather than the extension
+  getProfileValues(profile) {
+    return {
+      providerType: profile.providerType || 'openai',
+      baseUrl: profile.baseUrl,
+      apiKey: profile.apiKey,
+      modelName: profile.modelName,
+      temperature: profile.temperature,
+      maxTokens: profile.maxTokens,
+      fallbackModels: profile.fallbackModels || [],
+      extraHeaders: profile.extraHeaders || {}
+    };
+  }
+
+  // Settings saved before profiles existed become the "Default" profile
+  getProfiles(settings) {
+    if (Array.isArray(settings.profiles) && settings.profiles.length > 0) {
+      return settings.profiles;
+    }
+
+    return [{
+      id: 'default',
+      name: 'Default',
+      ...this.getProfileValues(settings)
+    }];
+  }
+
+  resolveActiveProfile(settings) {
+    const profiles = this.getProfiles(settings);
+    const activeProfile = profiles.find(profile => profile.id === settings.activeProfileId) || profiles[0];
+
+    return {
+      ...settings,
+      ...this.getProfileValues(activeProfile),
+      profiles: profiles,
+      activeProfileId: activeProfile.id
+    };
+  }
+
+  // Quick switch from the header dropdown
+  switchProfile(profileId) {
+    this.readStoredSettings().then((stored) => {
+      const settings = this.resolveActiveProfile({ ...stored, activeProfileId: profileId });
+
+      this.writeStoredSettings({
+        ...this.getProfileValues(settings),
+        profiles: settings.profiles,
+        activeProfileId: settings.activeProfileId
+      }).then(() => {
+        console.log('Switched provider profile to:', settings.activeProfileId);
+        this.loadSettingsIntoForm(settings);
+      }).catch((error) => {
+        console.error('Error switching profile:', error);
+        alert(`Profile could not be switched: ${error.message}`);
+      });
+    });
+  }
+
+  renderProfileOptions(profiles, selectedId, selectId = null) {
+    const selectIds = selectId ?
+      [selectId] :
+      ['neutral-summarizer-header-profile', 'neutral-summarizer-profile-select'];
+
+    selectIds.forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      select.innerHTML = '';
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name || 'Untitled profile';
+        select.appendChild(option);
+      });
+      select.value = selectedId;
+    });
+  }
+
+  parseExtraHeaders(text) {
+    const headers = {};
+    text.split('\n').forEach(line => {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex <= 0) return;
+
+      const name = line.slice(0, separatorIndex).trim();
+      const value = line.slice(separatorIndex + 1).trim();
+      if (name) headers[name] = value;
+    });
+    return headers;
+  }
 
-      #neutral-summarizer-chat-input:focus {
-        background: white;
-        border-color: #3b82f6;
-        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-      }
-      
-      #neutral-summarizer-chat-input:focus {
-        outline: none;
-        border-color: #3b82f6;
-        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-      }
-      
-      #neutral-summarizer-send-btn {
-        padding: 12px 16px;
-        background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%);
-        color: white;
-        border: none;
-        border-radius: 6px;
-        cursor: pointer;
-        transition: all 0.2s;
-        font-weight: 500;
-        box-shadow: 0 1px 3px rgba(59, 130, 246, 0.3);
-        min-width: 60px;
-        font-size: calc(var(--neutral-summarizer-font-size, 14px) - 1px);
-        height: 44px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
+  // "model = input / output" lines; model ids may contain ":" (e.g. llama3:8b), so split on "="
+  parseModelPrices(text) {
+    const prices = {};
+    text.split('\n').forEach(line => {
+      const separatorIndex = line.lastIndexOf('=');
+      if (separatorIndex <= 0) return;
 
-      #neutral-summarizer-send-btn:hover {
-        background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%);
-        transform: translateY(-1px);
-        box-shadow: 0 4px 8px rgba(59, 130, 246, 0.4);
+      const model = line.slice(0, separatorIndex).trim();
+      const [prompt, completion] = line.slice(separatorIndex + 1).split('/').map(value => parseFloat(value));
+      if (model && !isNaN(prompt)) {
+        prices[model] = { prompt: prompt, completion: isNaN(completion) ? prompt : completion };
       }
+    });
+    return prices;
+  }
 
-      #neutral-summarizer-send-btn:active {
-        transform: translateY(0);
-      }
-      
-      #neutral-summarizer-send-btn:hover {
-        background: #2563eb;
-      }
-      
-      #neutral-summarizer-send-btn:disabled {
-        background: #9ca3af;
-        cursor: not-allowed;
-      }
-      
-      .neutral-summarizer-settings-section {
-        margin-bottom: 20px;
-        background: white;
-        border-radius: 8px;
-        overflow: hidden;
-        border: 1px solid #e5e7eb;
-      }
+  formatModelPrices(prices) {
+    return Object.entries(prices || {})
+      .map(([model, price]) => `${model} = ${price.prompt} / ${price.completion}`)
+      .join('\n');
+  }
 
-      .neutral-summarizer-settings-actions {
-        margin-top: 24px;
-        text-align: center;
-      }
+  formatExtraHeaders(headers) {
+    return Object.entries(headers || {})
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+  }
 
-      .neutral-summarizer-settings-form {
-        display: flex;
-        flex-direction: column;
-        gap: 16px;
-        padding: 16px;
-      }
-      
-      .neutral-summarizer-settings-group {
-        display: flex;
-        flex-direction: column;
-        gap: 4px;
-      }
-      
-      .neutral-summarizer-settings-group label {
-        font-weight: 500;
-        color: #374151;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        display: flex;
-        align-items: center;
-        gap: 6px;
-        margin-bottom: 4px;
-      }
+  // Copy the profile fields of the form into the profile being edited
+  storeFormProfile() {
+    const profile = this.settingsProfiles.find(item => item.id === this.editingProfileId);
+    if (!profile) return;
+
+    profile.name = document.getElementById('neutral-summarizer-profile-name').value.trim() || 'Untitled profile';
+    profile.providerType = document.getElementById('neutral-summarizer-provider-type').value;
+    profile.baseUrl = document.getElementById('neutral-summarizer-base-url').value;
+    profile.apiKey = document.getElementById('neutral-summarizer-api-key').value;
+    profile.modelName = document.getElementById('neutral-summarizer-model-name').value;
+    profile.temperature = parseFloat(document.getElementById('neutral-summarizer-temperature').value);
+    profile.maxTokens = parseInt(document.getElementById('neutral-summarizer-max-tokens').value) || 4096;
+    profile.fallbackModels = document.getElementById('neutral-summarizer-fallback-models').value
+      .split('\n')
+      .map(model => model.trim())
+      .filter(Boolean);
+    profile.extraHeaders = this.parseExtraHeaders(document.getElementById('neutral-summarizer-extra-headers').value);
+  }
 
-      .neutral-summarizer-label-icon {
-        font-size: 16px;
-        opacity: 0.8;
-      }
-      
-      .neutral-summarizer-settings-group input,
-      .neutral-summarizer-settings-group textarea {
-        padding: 12px 16px;
-        border: 1px solid #d1d5db;
-        border-radius: 8px;
-        font-family: inherit;
-        font-size: var(--neutral-summarizer-font-size, 14px);
-        background: #fafbfc;
-        transition: all 0.2s;
-        line-height: 1.4;
-      }
+  loadFormProfile(profile) {
+    this.editingProfileId = profile.id;
+
+    const fields = {
+      'neutral-summarizer-profile-name': profile.name,
+      'neutral-summarizer-provider-type': profile.providerType || 'openai',
+      'neutral-summarizer-base-url': profile.baseUrl,
+      'neutral-summarizer-api-key': profile.apiKey,
+      'neutral-summarizer-model-name': profile.modelName,
+      'neutral-summarizer-temperature': profile.temperature !== undefined ? profile.temperature : 0.3,
+      'neutral-summarizer-max-tokens': profile.maxTokens || 4096,
+      'neutral-summarizer-fallback-models': (profile.fallbackModels || []).join('\n'),
+      'neutral-summarizer-extra-headers': this.formatExtraHeaders(profile.extraHeaders)
+    };
 
-      .neutral-summarizer-settings-group input:focus,
-      .neutral-summarizer-settings-group textarea:focus {
-        background: white;
-        border-color: #3b82f6;
-        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-        outline: none;
-      }
-      
-      .neutral-summarizer-settings-group input:focus,
-      .neutral-summarizer-settings-group textarea:focus {
-        outline: none;
-        border-color: #3b82f6;
-        box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
-      }
-      
-      .neutral-summarizer-settings-group textarea {
-        resize: vertical;
-        min-height: 100px;
-        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
-      }
-      
-      .neutral-summarizer-settings-group input[type="range"] {
-        padding: 0;
-        height: 6px;
-        background: #e5e7eb;
-        border-radius: 3px;
-        outline: none;
-        -webkit-appearance: none;
-      }
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value !== undefined ? value : '';
+    });
 
-      .neutral-summarizer-settings-group input[type="range"]::-webkit-slider-thumb {
-        -webkit-appearance: none;
-        appearance: none;
-        width: 18px;
-        height: 18px;
-        background: #3b82f6;
-        border-radius: 50%;
-        cursor: pointer;
-        transition: all 0.2s;
-      }
+    const temperatureValue = document.getElementById('neutral-summarizer-temperature-value');
+    if (temperatureValue) temperatureValue.textContent = fields['neutral-summarizer-temperature'];
 
-      .neutral-summarizer-settings-group input[type="range"]::-webkit-slider-thumb:hover {
-        background: #2563eb;
-        transform: scale(1.1);
-      }
+    this.renderProfileOptions(this.settingsProfiles, profile.id, 'neutral-summarizer-profile-select');
+    this.loadModelOptions();
+  }
 
-      .neutral-summarizer-settings-group input[type="range"]::-moz-range-thumb {
-        width: 18px;
-        height: 18px;
-        background: #3b82f6;
-        border-radius: 50%;
-        cursor: pointer;
-        border: none;
-        transition: all 0.2s;
+  // Fill the model picker for the provider currently in the form. Without `refresh`
+  // only the cache is read, so opening Settings never hits the network by itself.
+  async loadModelOptions({ refresh = false } = {}) {
+    const baseUrl = document.getElementById('neutral-summarizer-base-url').value.trim();
+    const apiKey = document.getElementById('neutral-summarizer-api-key').value.trim();
+    const formSettings = {
+      providerType: document.getElementById('neutral-summarizer-provider-type').value,
+      extraHeaders: this.parseExtraHeaders(document.getElementById('neutral-summarizer-extra-headers').value)
+    };
+    const adapter = this.getProviderAdapter(formSettings);
+    const headers = adapter.buildHeaders(apiKey, this.getProfileHeaders(formSettings));
+    if (!baseUrl) return;
+
+    try {
+      let entry = await this.modelCatalog.getCached(baseUrl);
+      if (refresh) {
+        this.updateModelStatus('Loading models...');
+        entry = await this.modelCatalog.fetchModels(baseUrl, headers, adapter.getModelsUrl(baseUrl));
       }
 
-      .neutral-summarizer-settings-group input[type="range"]::-moz-range-thumb:hover {
-        background: #2563eb;
-        transform: scale(1.1);
+      this.modelCatalogEntry = entry;
+      this.availableModels = entry ? entry.models : [];
+      this.updateModelStatus(entry ?
+        `${entry.models.length} models · updated ${new Date(entry.fetchedAt).toLocaleString()}` :
+        'Type to search the provider\'s models, or enter any model id');
+
+      const modelInput = document.getElementById('neutral-summarizer-model-name');
+      if (modelInput && document.activeElement === modelInput) {
+        this.renderModelOptions();
       }
-    `;
+    } catch (error) {
+      console.error('Error loading models:', error);
+      this.updateModelStatus(`Could not load models: ${error.message}`);
+    }
+  }
 
-    const styleElement = document.createElement('style');
-    styleElement.textContent = styles;
-    document.head.appendChild(styleElement);
+  // Swap in the new provider's usual base URL unless the user typed a custom one
+  changeProviderType(providerType) {
+    const baseUrlInput = document.getElementById('neutral-summarizer-base-url');
+    const knownDefaults = Object.values(this.providerDefaultUrls);
+    if (baseUrlInput && (!baseUrlInput.value.trim() || knownDefaults.includes(baseUrlInput.value.trim()))) {
+      baseUrlInput.value = this.providerDefaultUrls[providerType] || baseUrlInput.value;
+    }
+
+    this.loadModelOptions();
   }
 
-  setupChatEventListeners() {
-    // Summarize button
-    const summarizeBtn = document.getElementById('neutral-summarizer-summarize-btn');
-    if (summarizeBtn) {
-      summarizeBtn.addEventListener('click', () => this.summarizePage());
+  updateModelStatus(text) {
+    const status = document.getElementById('neutral-summarizer-model-status');
+    if (status) status.textContent = text;
+  }
+
+  renderModelOptions() {
+    const modelInput = document.getElementById('neutral-summarizer-model-name');
+    const optionsList = document.getElementById('neutral-summarizer-model-options');
+    if (!modelInput || !optionsList) return;
+
+    // Show the full list while the field still holds an exact, known model id
+    const query = this.modelCatalog.findModel(this.availableModels, modelInput.value) ? '' : modelInput.value;
+    const matches = this.modelCatalog.search(this.availableModels, query);
+
+    optionsList.innerHTML = '';
+    matches.forEach(model => {
+      const option = document.createElement('div');
+      option.className = 'neutral-summarizer-model-option';
+      option.classList.toggle('selected', model.id === modelInput.value);
+      option.innerHTML = `
+        <div class="neutral-summarizer-model-option-id"></div>
+        <div class="neutral-summarizer-model-option-meta"></div>
+      `;
+      option.querySelector('.neutral-summarizer-model-option-id').textContent = model.id;
+      option.querySelector('.neutral-summarizer-model-option-meta').textContent = [
+        model.name !== model.id ? model.name : '',
+        this.modelCatalog.formatContextLength(model.contextLength),
+        this.modelCatalog.formatPricing(model.pricing)
+      ].filter(Boolean).join(' · ');
+
+      // mousedown fires before the input's blur closes the list
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.selectModel(model);
+      });
+      optionsList.appendChild(option);
+    });
+
+    optionsList.classList.toggle('open', matches.length > 0);
+  }
+
+  closeModelOptions() {
+    const optionsList = document.getElementById('neutral-summarizer-model-options');
+    if (optionsList) optionsList.classList.remove('open');
+  }
+
+  selectModel(model) {
+    const modelInput = document.getElementById('neutral-summarizer-model-name');
+    if (modelInput) modelInput.value = model.id;
+
+    // The provider knows the model's real context window better than our default
+    const contextWindowInput = document.getElementById('neutral-summarizer-context-window');
+    if (contextWindowInput && model.contextLength) {
+      contextWindowInput.value = model.contextLength;
     }
 
-    // Clear chat button
-    const clearBtn = document.getElementById('neutral-summarizer-clear-btn');
-    if (clearBtn) {
-      clearBtn.addEventListener('click', () => this.clearChat());
+    this.closeModelOptions();
+  }
+
+  selectFormProfile(profileId) {
+    this.storeFormProfile();
+    const profile = this.settingsProfiles.find(item => item.id === profileId);
+    if (profile) this.loadFormProfile(profile);
+  }
+
+  addFormProfile() {
+    this.storeFormProfile();
+    const current = this.settingsProfiles.find(item => item.id === this.editingProfileId) || {};
+
+    const profile = {
+      ...current,
+      id: `profile-${Date.now()}`,
+      name: `Profile ${this.settingsProfiles.length + 1}`,
+      extraHeaders: { ...(current.extraHeaders || {}) }
+    };
+    this.settingsProfiles.push(profile);
+    this.loadFormProfile(profile);
+  }
+
+  deleteFormProfile() {
+    if (this.settingsProfiles.length <= 1) {
+      alert('At least one provider profile is required.');
+      return;
     }
 
-    // Send button
-    const sendBtn = document.getElementById('neutral-summarizer-send-btn');
-    if (sendBtn) {
-      sendBtn.addEventListener('click', () => this.sendMessage());
+    this.settingsProfiles = this.settingsProfiles.filter(item => item.id !== this.editingProfileId);
+    this.loadFormProfile(this.settingsProfiles[0]);
+  }
+
+  getDefaultPresets() {
+    return [
+      {
+        id: 'neutral',
+        name: 'Neutral Summary',
+        prompt: '',
+        lengthTarget: 0
+      },
+      {
+        id: 'tldr',
+        name: 'TL;DR',
+        prompt: 'Give a TL;DR of two or three sentences with only the most important points. Skip headings.',
+        lengthTarget: 60
+      },
+      {
+        id: 'executive-brief',
+        name: 'Executive Brief',
+        prompt: 'Write an executive brief: a one-line bottom line, then short "Key Facts", "Implications" and "Open Questions" sections.',
+        lengthTarget: 250
+      },
+      {
+        id: 'bullet-outline',
+        name: 'Bullet Outline',
+        prompt: 'Produce a nested bullet outline that follows the structure of the content. Keep every bullet to one short line.',
+        lengthTarget: 0
+      },
+      {
+        id: 'eli5',
+        name: 'ELI5',
+        prompt: 'Explain the content like I am five: plain words, short sentences and one everyday analogy. Avoid jargon.',
+        lengthTarget: 150
+      },
+      {
+        id: 'key-quotes',
+        name: 'Key Quotes',
+        prompt: 'List the most important direct quotes word for word, each with who said it and one line of context. Never paraphrase a quote.',
+        lengthTarget: 0
+      }
+    ];
+  }
+
+  // Settings saved before presets existed use the built-in list
+  getPresets(settings) {
+    if (settings && Array.isArray(settings.summaryPresets) && settings.summaryPresets.length > 0) {
+      return settings.summaryPresets;
     }
+    return this.getDefaultPresets();
+  }
 
-    // Enter key in chat input
-    const chatInput = document.getElementById('neutral-summarizer-chat-input');
-    if (chatInput) {
-      chatInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-          e.preventDefault();
-          this.sendMessage();
-        }
-      });
+  // The preset last picked on this site, then the site rule's preset, then the first one
+  getCurrentPreset(presets = this.presets) {
+    const rulePresetId = this.siteRule ? this.siteRule.presetId : '';
+    return presets.find(preset => preset.id === this.currentPresetId) ||
+      presets.find(preset => preset.id === rulePresetId) ||
+      presets[0] || null;
+  }
+
+  buildPresetInstructions(preset) {
+    if (!preset) return '';
+
+    const lines = [];
+    if (preset.prompt) {
+      lines.push(`Summary style (${preset.name}): ${preset.prompt}`);
+    }
+    if (preset.lengthTarget > 0) {
+      lines.push(`Length: aim for about ${preset.lengthTarget} words.`);
     }
+    return lines.join('\n');
+  }
+
+  renderPresetMenu(settings) {
+    this.presets = this.getPresets(settings);
+    const current = this.getCurrentPreset();
+
+    const label = document.getElementById('neutral-summarizer-summarize-label');
+    if (label) {
+      label.textContent = !current || current.id === this.presets[0].id ? 'Summarize Page' : `Summarize · ${current.name}`;
+    }
+
+    const menu = document.getElementById('neutral-summarizer-preset-menu');
+    if (!menu) return;
+
+    menu.innerHTML = '';
+    this.presets.forEach(preset => {
+      const option = document.createElement('div');
+      option.className = 'neutral-summarizer-preset-option';
+      if (current && preset.id === current.id) {
+        option.classList.add('selected');
+      }
+      option.innerHTML = `<div class="neutral-summarizer-preset-option-name"></div>`;
+      option.querySelector('.neutral-summarizer-preset-option-name').textContent = preset.name;
+      if (preset.lengthTarget > 0) {
+        option.insertAdjacentHTML('beforeend', `<div class="neutral-summarizer-preset-option-meta">~${preset.lengthTarget} words</div>`);
+      }
+      option.addEventListener('click', () => this.runPreset(preset.id));
+      menu.appendChild(option);
+    });
+  }
+
+  runPreset(presetId) {
+    const menu = document.getElementById('neutral-summarizer-preset-menu');
+    if (menu) menu.classList.remove('open');
+
+    this.currentPresetId = presetId;
+    this.renderPresetMenu({ summaryPresets: this.presets });
+    this.rememberDomainPreset(presetId);
+    this.summarizePage();
+  }
+
+  loadDomainPreset() {
+    chrome.storage.local.get({ presetByDomain: {} }, (result) => {
+      this.currentPresetId = result.presetByDomain[window.location.hostname] || null;
+      this.renderPresetMenu(this.presets.length > 0 ? { summaryPresets: this.presets } : this.currentSettings);
+    });
+  }
+
+  rememberDomainPreset(presetId) {
+    const hostname = window.location.hostname;
+    if (!hostname) return;
+
+    chrome.storage.local.get({ presetByDomain: {} }, (result) => {
+      // Drop domains whose preset was deleted and keep the most recently used ones
+      const presetIds = this.presets.map(preset => preset.id);
+      const entries = Object.entries(result.presetByDomain)
+        .filter(([domain, id]) => domain !== hostname && presetIds.includes(id));
+      entries.push([hostname, presetId]);
+
+      const presetByDomain = Object.fromEntries(entries.slice(-this.maxPresetDomains));
+      chrome.storage.local.set({ presetByDomain });
+    });
+  }
+
+  renderPresetEditor() {
+    const list = document.getElementById('neutral-summarizer-preset-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    this.settingsPresets.forEach((preset, index) => {
+      const item = document.createElement('div');
+      item.className = 'neutral-summarizer-preset-item';
+      item.innerHTML = `
+        <div class="neutral-summarizer-inline-controls">
+          <input type="text" class="neutral-summarizer-preset-name" placeholder="Preset name">
+          <input type="number" class="neutral-summarizer-preset-length" min="0" step="10" title="Length target in words (0 = no target)">
+          <button class="neutral-summarizer-btn secondary" data-action="up" title="Move up">↑</button>
+          <button class="neutral-summarizer-btn secondary" data-action="down" title="Move down">↓</button>
+          <button class="neutral-summarizer-btn secondary" data-action="delete" title="Delete this preset">🗑️</button>
+        </div>
+        <textarea class="neutral-summarizer-preset-prompt" placeholder="Instructions for this summary style (empty = follow the system prompt)"></textarea>
+      `;
+
+      const nameInput = item.querySelector('.neutral-summarizer-preset-name');
+      const lengthInput = item.querySelector('.neutral-summarizer-preset-length');
+      const promptInput = item.querySelector('.neutral-summarizer-preset-prompt');
+      nameInput.value = preset.name;
+      lengthInput.value = preset.lengthTarget || 0;
+      promptInput.value = preset.prompt || '';
+
+      nameInput.addEventListener('input', () => { preset.name = nameInput.value; });
+      lengthInput.addEventListener('input', () => { preset.lengthTarget = parseInt(lengthInput.value) || 0; });
+      promptInput.addEventListener('input', () => { preset.prompt = promptInput.value; });
+
+      item.querySelector('[data-action="up"]').disabled = index === 0;
+      item.querySelector('[data-action="down"]').disabled = index === this.settingsPresets.length - 1;
+      item.querySelector('[data-action="up"]').addEventListener('click', () => this.moveFormPreset(index, -1));
+      item.querySelector('[data-action="down"]').addEventListener('click', () => this.moveFormPreset(index, 1));
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteFormPreset(index));
+
+      list.appendChild(item);
+    });
+  }
+
+  addFormPreset() {
+    this.settingsPresets.push({
+      id: `preset-${Date.now().toString(36)}`,
+      name: 'New Preset',
+      prompt: '',
+      lengthTarget: 0
+    });
+    this.renderPresetEditor();
   }
 
-  setupSettingsEventListeners() {
-    // Save settings button
-    const saveBtn = document.getElementById('neutral-summarizer-save-settings');
-    if (saveBtn) {
-      saveBtn.addEventListener('click', () => this.saveSettings());
-    }
+  moveFormPreset(index, step) {
+    const target = index + step;
+    if (target < 0 || target >= this.settingsPresets.length) return;
 
-    // Sidebar width slider
-    const widthSlider = document.getElementById('neutral-summarizer-sidebar-width');
-    if (widthSlider) {
-      widthSlider.addEventListener('input', (e) => {
-        const value = e.target.value;
-        document.getElementById('neutral-summarizer-width-value').textContent = `${value}px`;
-      });
-    }
+    const [preset] = this.settingsPresets.splice(index, 1);
+    this.settingsPresets.splice(target, 0, preset);
+    this.renderPresetEditor();
+  }
 
-    // Font size slider
-    const fontSlider = document.getElementById('neutral-summarizer-font-size');
-    if (fontSlider) {
-      fontSlider.addEventListener('input', (e) => {
-        const value = e.target.value;
-        document.getElementById('neutral-summarizer-font-value').textContent = `${value}px`;
-      });
+  deleteFormPreset(index) {
+    if (this.settingsPresets.length <= 1) {
+      alert('At least one preset is required.');
+      return;
     }
+    this.settingsPresets.splice(index, 1);
+    this.renderPresetEditor();
+  }
 
-    // Temperature slider
-    const temperatureSlider = document.getElementById('neutral-summarizer-temperature');
-    if (temperatureSlider) {
-      temperatureSlider.addEventListener('input', (e) => {
-        const value = e.target.value;
-        document.getElementById('neutral-summarizer-temperature-value').textContent = value;
-      });
-    }
+  getFormPresets() {
+    return this.settingsPresets
+      .map(preset => ({ ...preset, name: preset.name.trim() }))
+      .filter(preset => preset.name);
   }
 
-  async summarizePage() {
-    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
-    if (!chatMessages) return;
+  // Selection and language are read when summarizing starts, before the sidebar takes focus
+  extractPageContext() {
+    const selection = window.getSelection ? window.getSelection().toString().trim() : '';
+    return {
+      selection: selection,
+      language: (document.documentElement.lang || '').trim()
+    };
+  }
 
-    // Clear all existing messages (both loading and regular messages)
-    this.clearChat();
+  rememberPageContent(pageContent) {
+    pageContent.language = this.languageDetector.detect(pageContent.content, pageContent.language).code;
+    this.lastPageContent = pageContent;
+    return pageContent;
+  }
 
-    // Add loading message
-    const loadingMsg = document.createElement('div');
-    loadingMsg.className = 'neutral-summarizer-message loading';
-    loadingMsg.textContent = 'Analyzing page content...';
-    chatMessages.appendChild(loadingMsg);
+  getBrowserLanguage() {
+    return this.languageDetector.getName((navigator.language || 'en').split('-')[0]);
+  }
 
-    try {
-      // Extract page content
-      const pageContent = await this.extractPageContent(loadingMsg);
-      
-      // Get current settings
-      const settings = await new Promise((resolve) => {
-        chrome.storage.sync.get({
-          baseUrl: 'https://openrouter.ai/api/v1',
-          apiKey: '',
-          dumplingApiKey: '',
-          modelName: 'qwen/qwen3-235b-a22b-2507',
-          temperature: 0.3,
-          systemPrompt: `You are a helpful assistant that summarizes web pages. 
-Please provide a concise, neutral summary of the content provided. 
-Focus on the main points and key information.
-Make sure you separate between information and opinions.
-Breakdown them in two separated sessions: "Information" and "Opinions from writer"
-Use markdown format for users to read.
-Notes:
-* If user asks following questions after the summary, just answer them based on available information. You don't need to include "Opinions from writer" session anymore.
-* Show the most important information first`
-        }, resolve);
-      });
-      
-      await this.performSummarization(pageContent, settings, loadingMsg, chatMessages);
-    } catch (error) {
-      console.error('Error in summarizePage:', error);
-      
-      // Remove loading message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
-      
-      // Add error message
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'neutral-summarizer-message error';
-      errorMsg.innerHTML = `
-        <strong>⚠️ Error</strong><br>
-        Failed to analyze page content: ${error.message}<br>
-        <small>Please try again later.</small>
-      `;
-      chatMessages.appendChild(errorMsg);
-    }
+  // Output language for answers, plus the language pair when bilingual summaries are on
+  resolveLanguages(settings, pageContent) {
+    const page = this.languageDetector.getName(pageContent && pageContent.language);
+    const user = settings.outputLanguageMode === 'fixed' && settings.outputLanguage ?
+      settings.outputLanguage.trim() :
+      this.getBrowserLanguage();
+    const output = settings.outputLanguageMode === 'page' ? page : user;
+    const bilingual = settings.bilingualMode && settings.bilingualMode !== 'off' &&
+      page && page.toLowerCase() !== user.toLowerCase() ? [page, user] : null;
+
+    return { page, user, output, bilingual };
   }
 
-  async performSummarization(pageContent, settings, loadingMsg, chatMessages) {
-    // Check if API key is available
-    if (!settings.apiKey && !settings.dumplingApiKey) {
-      // Remove loading message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
-      
-      // Add error message
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'neutral-summarizer-message error';
-      errorMsg.innerHTML = `
-        <strong>⚠️ Configuration Required</strong><br>
-        Please configure API keys in Settings to enable real AI summarization.<br>
-        <small>Go to Settings tab and add your OpenAI API key or DumplingAI API key.</small>
-      `;
-      chatMessages.appendChild(errorMsg);
-      return;
+  buildLanguageInstruction(languages) {
+    if (languages.output) {
+      return `Always answer in ${languages.output}, whatever the language of the page.`;
     }
+    return 'Answer in the same language as the page content.';
+  }
 
-    // Prepare API request with enhanced content
-    let userPrompt;
-    
-    if (pageContent.isYouTube) {
-      userPrompt = `Please analyze and summarize this YouTube video:\n\n`;
-      userPrompt += `Title: ${pageContent.title}\n`;
-      userPrompt += `URL: ${pageContent.url}\n\n`;
-      userPrompt += `${pageContent.content}\n\n`;
-      // userPrompt += `Please provide:\n`;
-      // userPrompt += `1. A concise summary of the video content\n`;
-      // userPrompt += `2. Key points and main topics covered\n`;
-      // userPrompt += `3. Information vs Opinion separation\n`;
-      // userPrompt += `4. Overall sentiment and tone analysis\n`;
-      
-      // Add transcript-specific instructions if transcript is available
-      if (pageContent.youtubeData.hasTranscript) {
-        userPrompt += `\nNOTE: A full video transcript is available above. Please base your analysis primarily on the transcript content as it provides the most accurate representation of what was actually said in the video.`;
-      } else {
-        userPrompt += `\nNOTE: No video transcript is available. Please base your analysis on the metadata, description, and comments provided.`;
-      }
-    } else {
-      userPrompt = `Please summarize this webpage:\n\nTitle: ${pageContent.title}\nURL: ${pageContent.url}\n\n`;
-      
-      // Add content
-      userPrompt += `Content:\n${pageContent.content}\n\n`;
-      
-      // Add metadata if available
-      if (pageContent.meta.description) {
-        userPrompt += `Description: ${pageContent.meta.description}\n\n`;
-      }
-      if (pageContent.meta.author) {
-        userPrompt += `Author: ${pageContent.meta.author}\n\n`;
-      }
-      if (pageContent.meta.publish_date) {
-        userPrompt += `Published: ${pageContent.meta.publish_date}\n\n`;
-      }
+  withLanguageInstruction(systemPrompt, settings, pageContent) {
+    return `${systemPrompt}\n\n${this.buildLanguageInstruction(this.resolveLanguages(settings, pageContent))}`;
+  }
+
+  // Only the summary is written twice; follow-up answers stay in the output language
+  buildBilingualInstruction(languages) {
+    const [first, second] = languages.bilingual;
+    return `Write this summary twice with the same content: first in ${first}, then in ${second}. ` +
+      `Put a line containing only "=== ${first} ===" before the first version and "=== ${second} ===" before the second.`;
+  }
+
+  // Bilingual answers come back as "=== Language ===" sections, rendered side by side or stacked
+  formatAnswer(content) {
+    const markerPattern = /^=== (.{1,40}?) ===[ \t]*$/gm;
+    const markers = [...content.matchAll(markerPattern)];
+    if (markers.length < 2) {
+      return this.formatMarkdown(content);
     }
-    
-    const requestBody = {
-      model: settings.modelName,
-      messages: [
-        {
-          role: 'system',
-          content: settings.systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      // max_tokens: 2048,
-      max_completion_tokens: 4096,
-      temperature: settings.temperature || 0.3,
-      stream: true  // Enable streaming mode
-    };
 
-    // Determine which API to use
-    const apiUrl = settings.baseUrl;
-    const apiKey = settings.apiKey || settings.dumplingApiKey;
+    const sections = markers.map((marker, index) => {
+      const end = index + 1 < markers.length ? markers[index + 1].index : content.length;
+      return {
+        language: marker[1],
+        text: content.slice(marker.index + marker[0].length, end).trim()
+      };
+    });
+    const intro = content.slice(0, markers[0].index).trim();
+
+    const container = document.createElement('div');
+    container.className = `neutral-summarizer-bilingual ${this.bilingualLayout === 'side-by-side' ? 'side-by-side' : 'stacked'}`;
+    sections.forEach(section => {
+      const column = document.createElement('section');
+      column.innerHTML = `<div class="neutral-summarizer-bilingual-label"></div>${this.formatMarkdown(section.text)}`;
+      column.querySelector('.neutral-summarizer-bilingual-label').textContent = section.language;
+      container.appendChild(column);
+    });
 
-    try {
-      // Make streaming API call
-      const response = await fetch(`${apiUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-          // Note: Removed HTTP-Referer and X-Title headers to avoid encoding issues
-        },
-        body: JSON.stringify(requestBody)
-      });
+    return (intro ? this.formatMarkdown(intro) : '') + container.outerHTML;
+  }
 
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
-      }
+  getContentType(pageContent) {
+    if (pageContent.isPDF) return 'pdf';
+    if (pageContent.isYouTube) return 'youtube';
+    return 'web';
+  }
 
-      if (!response.body) {
-        throw new Error('Response body is not readable');
-      }
+  getDefaultPromptTemplates() {
+    const closing = `{{#if sections.count}}
 
-      // Remove loading message and create streaming message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
+NOTE: The original content was too long to send at once ({{sections.originalLength}} characters). What you see above are summaries of its {{sections.count}} sections, in order. Merge them into one coherent summary of the whole document instead of summarizing each section separately.
+{{/if}}
+{{#if preset.instructions}}
 
-      // Create streaming AI message
-      const aiMsg = document.createElement('div');
-      aiMsg.className = 'neutral-summarizer-message ai streaming';
-      aiMsg.innerHTML = '';
-      chatMessages.appendChild(aiMsg);
+{{preset.instructions}}
+{{/if}}`;
 
-      // Read the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = '';
-      let buffer = '';
+    const documentTemplate = (intro) => `${intro}
 
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-        
-        // Decode the chunk
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
-        
-        // Process complete SSE lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              return; // Stream finished
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.choices && parsed.choices[0] && parsed.choices[0].delta) {
-                const content = parsed.choices[0].delta.content || '';
-                fullContent += content;
-                
-                // Update the streaming message
-                aiMsg.innerHTML = this.formatMarkdown(fullContent) + '<span class="streaming-cursor">▋</span>';
-                
-                // Auto-scroll to bottom
-                chatMessages.scrollTop = chatMessages.scrollHeight;
-              }
-            } catch (e) {
-              // Ignore JSON parse errors for incomplete chunks
-              console.debug('Stream parsing:', e);
-            }
-          }
-        }
-      }
+Title: {{title}}
+URL: {{url}}
 
-      // Remove streaming cursor and finalize message
-      aiMsg.innerHTML = this.formatMarkdown(fullContent);
-      aiMsg.classList.remove('streaming');
+Content:
+{{content}}
+{{#if meta.description}}
 
-    } catch (error) {
-      console.error('Summarization API error:', error);
-      
-      // Remove loading message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
+Description: {{meta.description}}
+{{/if}}
+{{#if meta.author}}
+
+Author: {{meta.author}}
+{{/if}}
+{{#if meta.publish_date}}
+
+Published: {{meta.publish_date}}
+{{/if}}
+${closing}`;
+
+    return {
+      web: documentTemplate('Please summarize this webpage:'),
+      youtube: `Please analyze and summarize this YouTube video:
+
+Title: {{title}}
+URL: {{url}}
+
+{{content}}
+
+{{#if youtube.hasTranscript}}
+NOTE: A full video transcript is available above. Please base your analysis primarily on the transcript content as it provides the most accurate representation of what was actually said in the video.
+{{else}}
+NOTE: No video transcript is available. Please base your analysis on the metadata, description, and comments provided.
+{{/if}}
+${closing}`,
+      pdf: documentTemplate('Please summarize this PDF document:')
+    };
+  }
+
+  // Stored templates only hold the user's edits; an empty one means the built-in default
+  getPromptTemplates(settings) {
+    const templates = this.getDefaultPromptTemplates();
+    const stored = (settings && settings.promptTemplates) || {};
+    Object.keys(templates).forEach(type => {
+      if (typeof stored[type] === 'string' && stored[type].trim()) {
+        templates[type] = stored[type];
       }
-      
-      // Add error message
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'neutral-summarizer-message error';
-      errorMsg.innerHTML = `
-        <strong>⚠️ API Error</strong><br>
-        Failed to generate summary: ${error.message}<br>
-        <small>Please check your API keys and network connection.</small>
-      `;
-      chatMessages.appendChild(errorMsg);
-    }
+    });
+    return templates;
   }
 
-  formatMarkdown(text) {
-    // Simple markdown formatting for basic elements
-    return text
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      .replace(/\n\n/g, '<br><br>')
-      .replace(/^(#+)\s+(.*)$/gm, '<h4>$2</h4>')
-      .replace(/^- (.*?)$/gm, '<li>$1</li>')
-      .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
+  buildTemplateContext(pageContent, preset = null, languages = null) {
+    const youtubeData = pageContent.youtubeData || {};
+    const transcript = youtubeData.transcript && youtubeData.transcript.transcript;
+
+    return {
+      title: pageContent.title,
+      url: pageContent.url,
+      content: pageContent.content,
+      selection: pageContent.selection || '',
+      language: languages ? languages.output : '',
+      pageLanguage: this.languageDetector.getName(pageContent.language),
+      contentType: this.getContentType(pageContent),
+      meta: pageContent.meta || {},
+      youtube: {
+        videoId: youtubeData.videoId,
+        title: youtubeData.videoTitle,
+        channel: youtubeData.channelName,
+        views: youtubeData.viewCount,
+        likes: youtubeData.likeCount,
+        published: youtubeData.publishDate,
+        description: youtubeData.description,
+        tags: youtubeData.tags || [],
+        comments: (youtubeData.topComments || []).map((comment, index) => `${index + 1}. ${comment}`).join('\n'),
+        // A condensed video only has its section summaries left to offer
+        transcript: pageContent.sectionCount ? pageContent.content : (transcript || ''),
+        hasTranscript: Boolean(youtubeData.hasTranscript)
+      },
+      sections: pageContent.sectionCount ? {
+        count: pageContent.sectionCount,
+        originalLength: pageContent.originalLength.toLocaleString()
+      } : {},
+      preset: {
+        name: preset ? preset.name : '',
+        instructions: this.buildPresetInstructions(preset)
+      }
+    };
   }
 
-  clearChat() {
-    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
-    if (chatMessages) {
-      chatMessages.innerHTML = '';
+  buildSummaryPrompt(pageContent, settings, preset = null) {
+    const contentType = this.getContentType(pageContent);
+    const template = this.getPromptTemplates(settings)[contentType];
+
+    const templateError = this.promptTemplate.validate(template);
+    if (templateError) {
+      throw new Error(`The ${contentType} prompt template is invalid: ${templateError}`);
     }
+    const languages = this.resolveLanguages(settings, pageContent);
+    const prompt = this.promptTemplate.render(template, this.buildTemplateContext(pageContent, preset, languages));
+    return languages.bilingual ? `${prompt}\n\n${this.buildBilingualInstruction(languages)}` : prompt;
   }
 
-  sendMessage() {
-    const chatInput = document.getElementById('neutral-summarizer-chat-input');
-    const chatMessages = document.getElementById('neutral-summarizer-chat-messages');
-    
-    if (!chatInput || !chatMessages || !chatInput.value.trim()) return;
+  getSamplePageContent(contentType) {
+    const sample = {
+      title: 'City Council Approves New Bike Lanes',
+      url: 'https://news.example.com/city/bike-lanes',
+      content: 'The city council voted 7-2 on Tuesday to add 12 miles of protected bike lanes downtown...',
+      meta: { description: 'Council vote on downtown bike lanes', author: 'Jane Doe', publish_date: '2024-05-14' },
+      selection: '',
+      language: 'en',
+      isYouTube: false,
+      youtubeData: {}
+    };
 
-    // Remove any existing loading messages first
-    const existingLoadingMsgs = chatMessages.querySelectorAll('.neutral-summarizer-message.loading');
-    existingLoadingMsgs.forEach(msg => {
-      if (msg.parentNode === chatMessages) {
-        chatMessages.removeChild(msg);
-      }
-    });
+    if (contentType === 'youtube') {
+      return {
+        ...sample,
+        title: 'How Protected Bike Lanes Work - YouTube',
+        url: 'https://www.youtube.com/watch?v=example',
+        content: 'YouTube Video Analysis\n\nTitle: How Protected Bike Lanes Work\nChannel: Urban Streets\n\nVideo Transcript:\nToday we look at how protected bike lanes...',
+        meta: {},
+        isYouTube: true,
+        youtubeData: {
+          videoId: 'example',
+          videoTitle: 'How Protected Bike Lanes Work',
+          channelName: 'Urban Streets',
+          viewCount: '12,345 views',
+          transcript: { transcript: 'Today we look at how protected bike lanes...' },
+          hasTranscript: true,
+          tags: ['#cycling'],
+          topComments: ['Great explainer!']
+        }
+      };
+    }
 
-    // Add user message
-    const userMsg = document.createElement('div');
-    userMsg.className = 'neutral-summarizer-message user';
-    userMsg.textContent = chatInput.value;
-    chatMessages.appendChild(userMsg);
+    if (contentType === 'pdf') {
+      return {
+        ...sample,
+        title: 'Annual Transportation Report.pdf',
+        url: 'https://example.com/report.pdf',
+        content: '# Annual Transportation Report\n\n## Summary\n\nCycling trips grew by 18%...',
+        meta: { description: 'PDF Document converted to Markdown', author: 'Transit Office', publish_date: '2024' },
+        isPDF: true
+      };
+    }
 
-    // Add loading message
-    const loadingMsg = document.createElement('div');
-    loadingMsg.className = 'neutral-summarizer-message loading';
-    loadingMsg.textContent = 'AI is thinking...';
-    chatMessages.appendChild(loadingMsg);
+    return sample;
+  }
 
-    // Get user input and clear
-    const userInput = chatInput.value;
-    chatInput.value = '';
+  renderTemplateEditor() {
+    const typeSelect = document.getElementById('neutral-summarizer-template-type');
+    const templateInput = document.getElementById('neutral-summarizer-template-text');
+    if (!typeSelect || !templateInput) return;
 
-    // Get current settings and page content
-    chrome.storage.sync.get({
-      baseUrl: 'https://openrouter.ai/api/v1',
-      apiKey: '',
-      dumplingApiKey: '',
-      modelName: 'qwen/qwen3-235b-a22b-2507',
-      temperature: 0.3,
-      systemPrompt: `You are a helpful assistant that summarizes web pages. 
-Please provide a concise, neutral summary of the content provided. 
-Focus on the main points and key information.
-Make sure you separate between information and opinions.
-Breakdown them in two separated sessions: "Information" and "Opinions from writer"
-Use markdown format for users to read.
-Notes:
-* If user asks following questions after the summary, just answer them based on available information. You don't need to include "Opinions from writer" session anymore.
-* Show the most important information first`
-    }, (settings) => {
-      this.performChatResponse(userInput, settings, loadingMsg, chatMessages);
-    });
+    typeSelect.value = this.editingTemplateType;
+    templateInput.value = this.settingsTemplates[this.editingTemplateType] || '';
+    this.renderTemplatePreview();
+  }
+
+  selectFormTemplate(contentType) {
+    this.storeFormTemplate();
+    this.editingTemplateType = contentType;
+    this.renderTemplateEditor();
+  }
+
+  storeFormTemplate() {
+    const templateInput = document.getElementById('neutral-summarizer-template-text');
+    if (templateInput) {
+      this.settingsTemplates[this.editingTemplateType] = templateInput.value;
+    }
   }
 
-  async performChatResponse(userInput, settings, loadingMsg, chatMessages) {
-    // Check if API key is available
-    if (!settings.apiKey && !settings.dumplingApiKey) {
-      // Remove loading message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
-      
-      // Add error message
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'neutral-summarizer-message error';
-      errorMsg.innerHTML = `
-        <strong>⚠️ Configuration Required</strong><br>
-        Please configure API keys in Settings to enable real AI chat functionality.<br>
-        <small>Go to Settings tab and add your OpenAI API key or DumplingAI API key.</small>
-      `;
-      chatMessages.appendChild(errorMsg);
+  resetFormTemplate() {
+    this.settingsTemplates[this.editingTemplateType] = this.getDefaultPromptTemplates()[this.editingTemplateType];
+    this.renderTemplateEditor();
+  }
+
+  // Renders the edited template against the last page summarized here (or a sample), with long values shortened
+  renderTemplatePreview() {
+    const preview = document.getElementById('neutral-summarizer-template-preview');
+    const templateInput = document.getElementById('neutral-summarizer-template-text');
+    if (!preview || !templateInput) return;
+
+    const template = templateInput.value;
+    const templateError = this.promptTemplate.validate(template);
+    preview.classList.toggle('error', Boolean(templateError));
+    if (templateError) {
+      preview.textContent = `⚠️ ${templateError}`;
       return;
     }
 
-    // Get page content for context
-    const pageContent = await this.extractPageContent();
+    const contentType = this.editingTemplateType;
+    const pageContent = this.lastPageContent && this.getContentType(this.lastPageContent) === contentType ?
+      this.lastPageContent :
+      this.getSamplePageContent(contentType);
+    const currentPreset = this.getCurrentPreset(this.settingsPresets.length > 0 ? this.settingsPresets : this.presets);
+
+    const shorten = (value) => (typeof value === 'string' && value.length > 600 ?
+      `${value.slice(0, 600)}… [${(value.length - 600).toLocaleString()} more characters]` :
+      value);
+    const context = this.buildTemplateContext(pageContent, currentPreset, this.resolveLanguages(this.getFormLanguageSettings(), pageContent));
+    context.content = shorten(context.content);
+    context.selection = shorten(context.selection);
+    context.youtube.transcript = shorten(context.youtube.transcript);
+
+    preview.textContent = this.promptTemplate.render(template, context);
+  }
 
-    // Prepare API request with enhanced context
-    let systemPrompt = settings.systemPrompt;
-    
-    // Add page context to system prompt
-    systemPrompt += `\n\nPage Context:\nTitle: ${pageContent.title}\nURL: ${pageContent.url}`;
-    
-    if (pageContent.isYouTube) {
-      systemPrompt += `\nPage Type: YouTube Video`;
-      systemPrompt += `\nVideo ID: ${pageContent.youtubeData.videoId || 'Unknown'}`;
-      systemPrompt += `\nChannel: ${pageContent.youtubeData.channelName || 'Unknown'}`;
-      systemPrompt += `\nViews: ${pageContent.youtubeData.viewCount || 'Unknown'}`;
-      systemPrompt += `\nLikes: ${pageContent.youtubeData.likeCount || 'Unknown'}`;
-      
-      if (pageContent.youtubeData.publishDate) {
-        systemPrompt += `\nPublished: ${pageContent.youtubeData.publishDate}`;
-      }
-      
-      // Add a note about YouTube-specific analysis
-      systemPrompt += `\n\nNote: This is a YouTube video. Please provide analysis specific to video content, including visual elements, audio content, and community engagement metrics.`;
-    } else {
-      // Add metadata to context
-      if (pageContent.meta.description) {
-        systemPrompt += `\nDescription: ${pageContent.meta.description}`;
-      }
-      if (pageContent.meta.author) {
-        systemPrompt += `\nAuthor: ${pageContent.meta.author}`;
-      }
-      if (pageContent.meta.publish_date) {
-        systemPrompt += `\nPublished: ${pageContent.meta.publish_date}`;
-      }
-    }
-    
-    // Add content summary for context (limit to avoid overwhelming the AI)
-    const contentSummary = pageContent.content.length > 65536 ? 
-      pageContent.content.substring(0, 65536) + '...[content truncated]' : 
-      pageContent.content;
-    
-    systemPrompt += `\n\nPage Content Summary:\n${contentSummary}`;
+  getFormTemplates() {
+    this.storeFormTemplate();
+    const defaults = this.getDefaultPromptTemplates();
+    const templates = {};
+    Object.keys(defaults).forEach(type => {
+      const template = this.settingsTemplates[type] || '';
+      templates[type] = template.trim() === defaults[type].trim() ? '' : template;
+    });
+    return templates;
+  }
 
-    const requestBody = {
-      model: settings.modelName,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userInput
-        }
-      ],
-      // max_tokens: 1000,
-      max_completion_tokens: 4096,
-      temperature: settings.temperature || 0.3,
-      stream: true  // Enable streaming mode
-    };
+  renderSiteRuleEditor() {
+    const list = document.getElementById('neutral-summarizer-site-rule-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    this.settingsSiteRules.forEach((rule, index) => {
+      const item = document.createElement('div');
+      item.className = 'neutral-summarizer-site-rule';
+      item.innerHTML = `
+        <div class="neutral-summarizer-inline-controls">
+          <input type="text" data-field="hostPattern" placeholder="example.com or *.example.com">
+          <button class="neutral-summarizer-btn secondary" data-action="up" title="Move up">↑</button>
+          <button class="neutral-summarizer-btn secondary" data-action="down" title="Move down">↓</button>
+          <button class="neutral-summarizer-btn secondary" data-action="delete" title="Delete this rule">🗑️</button>
+        </div>
+        <input type="text" data-field="contentSelectors" placeholder="Content selectors, e.g. .article-body, .comment">
+        <input type="text" data-field="removeSelectors" placeholder="Selectors to remove, e.g. .newsletter, aside">
+        <div class="neutral-summarizer-inline-controls">
+          <select data-field="presetId" title="Summary preset"></select>
+          <select data-field="profileId" title="Provider profile"></select>
+        </div>
+        <input type="text" data-field="modelName" placeholder="Model (empty = profile's model)">
+        <textarea data-field="systemPrompt" placeholder="System prompt for this site (empty = the global one)"></textarea>
+        <div class="neutral-summarizer-site-rule-flags">
+          <label><input type="checkbox" data-field="enabled"> Enabled</label>
+          <label><input type="checkbox" data-field="autoSummarize"> Auto-summarize</label>
+        </div>
+      `;
 
-    // Determine which API to use
-    const apiUrl = settings.baseUrl;
-    const apiKey = settings.apiKey || settings.dumplingApiKey;
+      const presetSelect = item.querySelector('[data-field="presetId"]');
+      presetSelect.appendChild(new Option('Preset: last used / default', ''));
+      this.settingsPresets.forEach(preset => presetSelect.appendChild(new Option(`Preset: ${preset.name}`, preset.id)));
+
+      const profileSelect = item.querySelector('[data-field="profileId"]');
+      profileSelect.appendChild(new Option('Profile: active profile', ''));
+      this.settingsProfiles.forEach(profile => profileSelect.appendChild(new Option(`Profile: ${profile.name}`, profile.id)));
+
+      item.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        const isList = field === 'contentSelectors' || field === 'removeSelectors';
+        if (input.type === 'checkbox') {
+          input.checked = Boolean(rule[field]);
+        } else {
+          input.value = isList ? rule[field].join(', ') : rule[field];
+        }
 
-    try {
-      // Helper method to sanitize header values to ensure ISO-8859-1 compliance
-      const sanitizeHeaderValue = (value) => {
-        if (!value) return '';
-        
-        // Convert to string if not already
-        const stringValue = String(value);
-        
-        // Remove or replace non-ISO-8859-1 characters
-        return stringValue
-          .replace(/[^\x00-\xFF]/g, '') // Remove non-ISO-8859-1 characters
-          .replace(/[\x00-\x1F\x7F]/g, ''); // Remove control characters except space
-      };
+        input.addEventListener(input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input', () => {
+          rule[field] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+      });
 
-      // Make streaming API call
-      const response = await fetch(`${apiUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': sanitizeHeaderValue(window.location.href),
-          'X-Title': sanitizeHeaderValue(pageContent.title)
-        },
-        body: JSON.stringify(requestBody)
+      item.querySelector('[data-action="up"]').disabled = index === 0;
+      item.querySelector('[data-action="down"]').disabled = index === this.settingsSiteRules.length - 1;
+      item.querySelector('[data-action="up"]').addEventListener('click', () => this.moveFormSiteRule(index, -1));
+      item.querySelector('[data-action="down"]').addEventListener('click', () => this.moveFormSiteRule(index, 1));
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        this.settingsSiteRules.splice(index, 1);
+        this.renderSiteRuleEditor();
       });
 
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
-      }
+      list.appendChild(item);
+    });
+  }
 
-      if (!response.body) {
-        throw new Error('Response body is not readable');
-      }
+  addFormSiteRule() {
+    this.settingsSiteRules.push(this.siteRules.normalizeRule({ hostPattern: window.location.hostname }));
+    this.renderSiteRuleEditor();
+  }
 
-      // Remove loading message and create streaming message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
+  moveFormSiteRule(index, step) {
+    const target = index + step;
+    if (target < 0 || target >= this.settingsSiteRules.length) return;
 
-      // Create streaming AI message
-      const aiMsg = document.createElement('div');
-      aiMsg.className = 'neutral-summarizer-message ai streaming';
-      aiMsg.innerHTML = '';
-      chatMessages.appendChild(aiMsg);
+    const [rule] = this.settingsSiteRules.splice(index, 1);
+    this.settingsSiteRules.splice(target, 0, rule);
+    this.renderSiteRuleEditor();
+  }
 
-      // Read the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullContent = '';
-      let buffer = '';
+  getFormSiteRules() {
+    return this.settingsSiteRules
+      .map(rule => this.siteRules.normalizeRule(rule))
+      .filter(rule => rule.hostPattern);
+  }
 
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) break;
-        
-        // Decode the chunk
-        const chunk = decoder.decode(value, { stream: true });
-        buffer += chunk;
-        
-        // Process complete SSE lines
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              return; // Stream finished
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.choices && parsed.choices[0] && parsed.choices[0].delta) {
-                const content = parsed.choices[0].delta.content || '';
-                fullContent += content;
-                
-                // Update the streaming message
-                aiMsg.innerHTML = this.formatMarkdown(fullContent) + '<span class="streaming-cursor">▋</span>';
-                
-                // Auto-scroll to bottom
-                chatMessages.scrollTop = chatMessages.scrollHeight;
-              }
-            } catch (e) {
-              // Ignore JSON parse errors for incomplete chunks
-              console.debug('Stream parsing:', e);
-            }
-          }
-        }
-      }
+  getFormLanguageSettings() {
+    const modeSelect = document.getElementById('neutral-summarizer-output-language-mode');
+    const languageInput = document.getElementById('neutral-summarizer-output-language');
+    const bilingualSelect = document.getElementById('neutral-summarizer-bilingual-mode');
+    if (!modeSelect || !languageInput || !bilingualSelect) {
+      return this.currentSettings || {};
+    }
+    return {
+      outputLanguageMode: modeSelect.value,
+      outputLanguage: languageInput.value.trim(),
+      bilingualMode: bilingualSelect.value
+    };
+  }
 
-      // Remove streaming cursor and finalize message
-      aiMsg.innerHTML = this.formatMarkdown(fullContent);
-      aiMsg.classList.remove('streaming');
+  parseDomainList(text) {
+    return text
+      .split(/[\n,]/)
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean)
+      .filter((domain, index, domains) => domains.indexOf(domain) === index);
+  }
 
-    } catch (error) {
-      console.error('Chat API error:', error);
-      
-      // Remove loading message
-      if (loadingMsg && loadingMsg.parentNode === chatMessages) {
-        chatMessages.removeChild(loadingMsg);
-      }
-      
-      // Add error message
-      const errorMsg = document.createElement('div');
-      errorMsg.className = 'neutral-summarizer-message error';
-      errorMsg.innerHTML = `
-        <strong>⚠️ API Error</strong><br>
-        Failed to get response: ${error.message}<br>
-        <small>Please check your API keys and network connection.</small>
-      `;
-      chatMessages.appendChild(errorMsg);
+  addCurrentSiteToAutoSummarize() {
+    const input = document.getElementById('neutral-summarizer-auto-summarize-domains');
+    if (!input || !window.location.hostname) return;
+
+    const domains = this.parseDomainList(input.value);
+    if (!domains.includes(window.location.hostname)) {
+      domains.push(window.location.hostname);
     }
+    input.value = domains.join('\n');
   }
 
-  saveSettings() {
-    const settings = {
-      baseUrl: document.getElementById('neutral-summarizer-base-url').value,
-      apiKey: document.getElementById('neutral-summarizer-api-key').value,
-      dumplingApiKey: document.getElementById('neutral-summarizer-dumpling-key').value,
-      dumplingApiUrl: document.getElementById('neutral-summarizer-dumpling-url').value,
-      modelName: document.getElementById('neutral-summarizer-model-name').value,
-      temperature: parseFloat(document.getElementById('neutral-summarizer-temperature').value),
-      systemPrompt: document.getElementById('neutral-summarizer-system-prompt').value,
-      sidebarWidth: parseInt(document.getElementById('neutral-summarizer-sidebar-width').value),
-      fontSize: parseInt(document.getElementById('neutral-summarizer-font-size').value)
-    };
+  updateSiteRuleStatus(text) {
+    const status = document.getElementById('neutral-summarizer-site-rule-status');
+    if (status) {
+      status.textContent = text;
+    }
+  }
 
-    // Apply settings immediately
-    this.applySettings(settings);
+  exportSiteRules() {
+    this.downloadFile(this.siteRules.exportRules(this.getFormSiteRules()), 'neutral-summarizer-site-rules.json', 'application/json');
+  }
 
-    // Save to Chrome storage
-    chrome.storage.sync.set(settings, () => {
-      console.log('Settings saved successfully');
-      
-      // Show success message
-      const saveBtn = document.getElementById('neutral-summarizer-save-settings');
-      if (saveBtn) {
-        const originalText = saveBtn.textContent;
-        saveBtn.textContent = 'Saved!';
-        saveBtn.style.background = '#10b981';
-        setTimeout(() => {
-          saveBtn.textContent = originalText;
-          saveBtn.style.background = '#3b82f6';
-        }, 2000);
-      }
-    });
+  async importSiteRules(file) {
+    try {
+      const imported = this.siteRules.parseImport(await file.text());
+      this.settingsSiteRules = this.siteRules.mergeRules(this.getFormSiteRules(), imported);
+      this.renderSiteRuleEditor();
+      this.updateSiteRuleStatus(`Imported ${imported.length} rule(s). Save settings to keep them.`);
+    } catch (error) {
+      console.error('Error importing site rules:', error);
+      this.updateSiteRuleStatus(`Import failed: ${error.message}`);
+    }
   }
 
-  async extractPageContent(loadingMsgElement = null) {
+  async extractPageContent(loadingMsgElement = null, siteRule = null) {
     try {
       // Get page title
       const title = document.title;
@@ -1781,7 +7912,7 @@ Notes:
         // Extract PDF content
         const pdfContent = await this.pdfHandler.extractPDFContent(pdf2markdownUrl);
         
-        return pdfContent;
+        return this.rememberPageContent({ ...pdfContent, ...this.extractPageContext() });
       }
       
       // Check if this is a YouTube page
@@ -1798,11 +7929,12 @@ Notes:
         youtubeData = result.youtubeData || {};
       } else {
         // Use regular content extraction
-        content = this.extractMainContent();
+        content = this.extractMainContent(siteRule);
         
         // If content extraction failed, fallback to body text
         if (!content || content.length < 100) {
-          content = this.extractBodyContent();
+          content = this.extractBodyContent(siteRule);
+          this.citationParagraphs = this.collectParagraphs([document.body], siteRule ? siteRule.removeSelectors : []);
         }
       }
       
@@ -1811,25 +7943,27 @@ Notes:
         content = 'Unable to extract page content.';
       }
       
-      // Limit content length for API (but much larger than before)
-      const maxContentLength = 65536;
-      if (content && content.length > maxContentLength) {
-        content = content.substring(0, maxContentLength) + '...[truncated]';
-      }
+      // Content longer than the prompt cap is kept whole; performSummarization condenses it in chunks
       
       // Ensure youtubeData is an object
       if (!youtubeData || typeof youtubeData !== 'object') {
         youtubeData = {};
       }
       
-      return {
+      if (isYouTube) {
+        this.citationParagraphs = [];
+      }
+      
+      return this.rememberPageContent({
         title: title || 'Untitled Page',
         url: url,
         content: content,
+        paragraphs: this.citationParagraphs.map(paragraph => paragraph.text),
         meta: this.extractPageMetadata(),
         isYouTube: isYouTube,
-        youtubeData: youtubeData
-      };
+        youtubeData: youtubeData,
+        ...this.extractPageContext()
+      });
     } catch (error) {
       console.error('Error extracting page content:', error);
       return {
@@ -1996,8 +8130,18 @@ Notes:
     }
   }
 
-  extractMainContent() {
+  extractMainContent(siteRule = null) {
     try {
+      // A site rule's selectors win over the generic guesses below
+      if (siteRule && siteRule.contentSelectors.length > 0) {
+        const ruleContent = this.extractRuleContent(siteRule);
+        if (ruleContent) {
+          return ruleContent;
+        }
+      }
+      
+      const removeSelectors = siteRule ? siteRule.removeSelectors : [];
+      
       // Try to find main content area
       const contentSelectors = [
         'article',
@@ -2018,15 +8162,17 @@ Notes:
       ];
       
       let mainContent = '';
+      let mainElement = null;
       
       // Try each selector
       for (const selector of contentSelectors) {
         const element = document.querySelector(selector);
         if (element) {
           // Get text content, excluding scripts, styles, and navigation
-          const text = this.getTextContent(element);
+          const text = this.getTextContent(element, removeSelectors);
           if (text.length > mainContent.length) {
             mainContent = text;
+            mainElement = element;
           }
         }
       }
@@ -2039,8 +8185,12 @@ Notes:
           .filter(text => text.length > 20); // Filter out very short paragraphs
           
         mainContent = paragraphTexts.join('\n\n');
+        mainElement = document.body;
       }
       
+      // Citations point back into the same element the text came from
+      this.citationParagraphs = mainElement ? this.collectParagraphs([mainElement], removeSelectors) : [];
+      
       return mainContent.trim();
     } catch (error) {
       console.error('Error extracting main content:', error);
@@ -2048,7 +8198,44 @@ Notes:
     }
   }
 
-  extractBodyContent() {
+  // Joins every element matched by the rule, skipping ones nested inside an earlier match
+  extractRuleContent(siteRule) {
+    const elements = [];
+    siteRule.contentSelectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach(element => {
+        if (!elements.some(existing => existing === element || existing.contains(element))) {
+          elements.push(element);
+        }
+      });
+    });
+
+    this.citationParagraphs = this.collectParagraphs(elements, siteRule.removeSelectors);
+    return elements
+      .map(element => this.getTextContent(element, siteRule.removeSelectors))
+      .filter(Boolean)
+      .join('\n\n')
+      .trim();
+  }
+
+  // Block elements holding text directly, in page order; the summary cites them as [P1], [P2]...
+  collectParagraphs(roots, removeSelectors = []) {
+    const blockSelector = 'p, li, blockquote, pre, h1, h2, h3, h4, h5, h6, td, dd, figcaption';
+    const skipSelector = ['script, style, noscript, iframe, nav, .nav, .navigation, .ads, .advertisement', this.pageTextLocator.ignoreSelector, ...removeSelectors].join(', ');
+    const paragraphs = [];
+
+    roots.forEach(root => {
+      root.querySelectorAll(blockSelector).forEach(element => {
+        if (element.querySelector(blockSelector) || element.closest(skipSelector)) return;
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        if (text.length >= 20) {
+          paragraphs.push({ element, text });
+        }
+      });
+    });
+    return paragraphs;
+  }
+
+  extractBodyContent(siteRule = null) {
     try {
       // Clone the body to avoid modifying the original
       const bodyClone = document.body.cloneNode(true);
@@ -2072,7 +8259,8 @@ Notes:
         '.comments',
         '.footer',
         '.header',
-        '.toolbar'
+        '.toolbar',
+        ...(siteRule ? siteRule.removeSelectors : [])
       ];
       
       unwantedSelectors.forEach(selector => {
@@ -2094,7 +8282,7 @@ Notes:
     }
   }
 
-  getTextContent(element) {
+  getTextContent(element, removeSelectors = []) {
     try {
       // Clone element to avoid modifying original
       const clone = element.cloneNode(true);
@@ -2102,6 +8290,9 @@ Notes:
       // Remove unwanted elements from clone
       const unwanted = clone.querySelectorAll('script, style, noscript, iframe, nav, .nav, .navigation, .ads, .advertisement');
       unwanted.forEach(el => el.remove());
+      removeSelectors.forEach(selector => {
+        clone.querySelectorAll(selector).forEach(el => el.remove());
+      });
       
       // Get text content
       const text = clone.textContent || clone.innerText;
@@ -2231,14 +8422,37 @@ Notes:
     }
   }
 
-  loadSettings() {
-    chrome.storage.sync.get({
+  getDefaultSettings() {
+    return {
       baseUrl: 'https://openrouter.ai/api/v1',
       apiKey: '',
       dumplingApiKey: '',
       dumplingApiUrl: 'https://app.dumplingai.com/api/v1',
       modelName: 'qwen/qwen3-235b-a22b-2507',
+      providerType: 'openai',
       temperature: 0.3,
+      maxTokens: 4096,
+      fallbackModels: [],
+      extraHeaders: {},
+      profiles: [],
+      activeProfileId: '',
+      contextWindow: 65536,
+      reasoningMode: 'show',
+      modelPrices: {},
+      dailyTokenCap: 0,
+      dailySpendCap: 0,
+      monthlyTokenCap: 0,
+      monthlySpendCap: 0,
+      budgetAction: 'warn',
+      summaryPresets: [],
+      promptTemplates: {},
+      siteRules: [],
+      autoSummarizeDomains: [],
+      outputLanguageMode: 'page',
+      outputLanguage: '',
+      bilingualMode: 'off',
+      verifySummaries: false,
+      citations: true,
       systemPrompt: `You are a helpful assistant that summarizes web pages. 
 Please provide a concise, neutral summary of the content provided. 
 Focus on the main points and key information.
@@ -2250,8 +8464,41 @@ Notes:
 * Show the most important information first`,
       sidebarWidth: 400,
       fontSize: 14
-    }, (settings) => {
+    };
+  }
+
+  getSettings() {
+    return this.readStoredSettings().then((settings) => this.applySiteRule(this.resolveActiveProfile(settings)));
+  }
+
+  // Overlays the matching site rule's profile, model and system prompt; the rule itself rides along as siteRule
+  applySiteRule(settings) {
+    const rule = this.siteRules.findRule(settings.siteRules, window.location.href);
+    this.siteRule = rule;
+    if (!rule) return settings;
+
+    let applied = { ...settings, siteRule: rule };
+    if (rule.profileId) {
+      const profile = this.getProfiles(settings).find(candidate => candidate.id === rule.profileId);
+      if (profile) {
+        applied = { ...applied, ...this.getProfileValues(profile) };
+      }
+    }
+    if (rule.modelName) {
+      applied.modelName = rule.modelName;
+    }
+    if (rule.systemPrompt) {
+      applied.systemPrompt = rule.systemPrompt;
+    }
+    return applied;
+  }
+
+  loadSettings() {
+    this.readStoredSettings().then((stored) => {
+      const settings = this.resolveActiveProfile(stored);
       console.log('Initial settings loaded:', settings);
+      this.bilingualLayout = settings.bilingualMode;
+      this.siteRule = this.siteRules.findRule(settings.siteRules, window.location.href);
       this.applySettings(settings);
       
       // Store settings for later use
@@ -2277,25 +8524,8 @@ Notes:
   }
 
   loadCurrentSettings() {
-    chrome.storage.sync.get({
-      baseUrl: 'https://openrouter.ai/api/v1',
-      apiKey: '',
-      dumplingApiKey: '',
-      dumplingApiUrl: 'https://app.dumplingai.com/api/v1',
-      modelName: 'qwen/qwen3-235b-a22b-2507',
-      temperature: 0.3,
-      systemPrompt: `You are a helpful assistant that summarizes web pages. 
-Please provide a concise, neutral summary of the content provided. 
-Focus on the main points and key information.
-Make sure you separate between information and opinions.
-Breakdown them in two separated sessions: "Information" and "Opinions from writer"
-Use markdown format for users to read.
-Notes:
-* If user asks following questions after the summary, just answer them based on available information. You don't need to include "Opinions from writer" session anymore.
-* Show the most important information first`,
-      sidebarWidth: 400,
-      fontSize: 14
-    }, (settings) => {
+    this.readStoredSettings().then((stored) => {
+      const settings = this.resolveActiveProfile(stored);
       console.log('Loading current settings for Settings tab:', settings);
       this.loadSettingsIntoForm(settings);
     });
@@ -2307,6 +8537,10 @@ Notes:
       console.log('Invalid settings parameter:', settings);
       return;
     }
+
+    const profiles = this.getProfiles(settings);
+    this.renderProfileOptions(profiles, settings.activeProfileId || profiles[0].id, 'neutral-summarizer-header-profile');
+    this.renderPresetMenu(settings);
     
     const settingsContainer = document.getElementById('neutral-summarizer-settings-container');
     if (!settingsContainer) {
@@ -2395,6 +8629,95 @@ Notes:
       }
     }
     
+    if (settings.contextWindow !== undefined) {
+      const contextWindowInput = document.getElementById('neutral-summarizer-context-window');
+      if (contextWindowInput) {
+        contextWindowInput.value = settings.contextWindow;
+        console.log('Set contextWindow to:', settings.contextWindow);
+      }
+    }
+    
+    const budgetFields = {
+      dailyTokenCap: 'neutral-summarizer-daily-token-cap',
+      dailySpendCap: 'neutral-summarizer-daily-spend-cap',
+      monthlyTokenCap: 'neutral-summarizer-monthly-token-cap',
+      monthlySpendCap: 'neutral-summarizer-monthly-spend-cap',
+      budgetAction: 'neutral-summarizer-budget-action'
+    };
+    Object.entries(budgetFields).forEach(([key, id]) => {
+      const input = document.getElementById(id);
+      if (input && settings[key] !== undefined) {
+        input.value = settings[key];
+      }
+    });
+    
+    if (settings.modelPrices !== undefined) {
+      const modelPricesInput = document.getElementById('neutral-summarizer-model-prices');
+      if (modelPricesInput) {
+        modelPricesInput.value = this.formatModelPrices(settings.modelPrices);
+        console.log('Set modelPrices');
+      }
+    }
+    
+    if (settings.reasoningMode !== undefined) {
+      const reasoningModeSelect = document.getElementById('neutral-summarizer-reasoning-mode');
+      if (reasoningModeSelect) {
+        reasoningModeSelect.value = settings.reasoningMode;
+        console.log('Set reasoningMode to:', settings.reasoningMode);
+      }
+    }
+    
+    this.settingsPresets = this.getPresets(settings).map(preset => ({ ...preset }));
+    this.renderPresetEditor();
+    
+    const verifyCheckbox = document.getElementById('neutral-summarizer-verify-summaries');
+    if (verifyCheckbox) {
+      verifyCheckbox.checked = !!settings.verifySummaries;
+      console.log('Set verifySummaries to:', verifyCheckbox.checked);
+    }
+    
+    const citationsCheckbox = document.getElementById('neutral-summarizer-citations');
+    if (citationsCheckbox) {
+      citationsCheckbox.checked = settings.citations !== false;
+      console.log('Set citations to:', citationsCheckbox.checked);
+    }
+    
+    this.settingsTemplates = this.getPromptTemplates(settings);
+    this.renderTemplateEditor();
+    
+    // Profile fields (URL, key, model, temperature, max tokens, headers) come from the active profile
+    this.settingsProfiles = profiles.map(profile => ({ ...profile, extraHeaders: { ...(profile.extraHeaders || {}) } }));
+    const activeProfile = this.settingsProfiles.find(profile => profile.id === settings.activeProfileId) || this.settingsProfiles[0];
+    this.loadFormProfile(activeProfile);
+    
+    const languageFields = {
+      outputLanguageMode: 'neutral-summarizer-output-language-mode',
+      outputLanguage: 'neutral-summarizer-output-language',
+      bilingualMode: 'neutral-summarizer-bilingual-mode'
+    };
+    Object.entries(languageFields).forEach(([key, id]) => {
+      const input = document.getElementById(id);
+      if (input && settings[key] !== undefined) {
+        input.value = settings[key];
+      }
+    });
+    const browserOption = document.querySelector('#neutral-summarizer-output-language-mode option[value="browser"]');
+    if (browserOption) {
+      browserOption.textContent = `Browser language (${this.getBrowserLanguage()})`;
+    }
+    
+    if (settings.autoSummarizeDomains !== undefined) {
+      const autoSummarizeInput = document.getElementById('neutral-summarizer-auto-summarize-domains');
+      if (autoSummarizeInput) {
+        autoSummarizeInput.value = settings.autoSummarizeDomains.join('\n');
+        console.log('Set autoSummarizeDomains');
+      }
+    }
+    
+    // Rule editors list the presets and profiles above, so they are rendered last
+    this.settingsSiteRules = (settings.siteRules || []).map(rule => this.siteRules.normalizeRule(rule));
+    this.renderSiteRuleEditor();
+    
     console.log('Settings loaded into form successfully');
   }
 }
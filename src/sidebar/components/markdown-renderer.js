@@ -147,10 +147,20 @@ class MarkdownRenderer {
     html = html.replace(/<p>/g, '<p class="neutral-summarizer-paragraph">');
     html = html.replace(/<a /g, '<a class="neutral-summarizer-link" ');
     html = html.replace(/<img /g, '<img class="neutral-summarizer-image" ');
+    html = this.renderCitations(html);
     
     return html;
   }
 
+  // [P3] or [P3, P7] paragraph references become chips; the sidebar handles the clicks
+  renderCitations(html) {
+    return html.replace(/\[P(\d+(?:\s*,\s*P?\d+)*)\]/g, (match, ids) => {
+      return ids.split(/\s*,\s*P?/)
+        .map(id => `<button class="neutral-summarizer-citation" data-paragraph="${id}" title="Show paragraph ${id} on the page">${id}</button>`)
+        .join('');
+    });
+  }
+
   sanitizeUrl(url) {
     try {
       // Basic URL sanitization
@@ -290,6 +300,22 @@ class MarkdownRenderer {
         margin: 8px 0;
       }
       
+      .neutral-summarizer-citation {
+        display: inline-block;
+        min-width: 18px;
+        margin-left: 3px;
+        padding: 0 5px;
+        border: none;
+        border-radius: 9px;
+        background: #dbeafe;
+        color: #1d4ed8;
+        font-size: 0.75em;
+        font-weight: 600;
+        line-height: 1.6;
+        vertical-align: super;
+        cursor: pointer;
+      }
+      
       .neutral-summarizer-table {
         width: 100%;
         border-collapse: collapse;
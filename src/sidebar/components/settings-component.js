@@ -312,7 +312,17 @@ class SettingsComponent {
       });
       
       if (response.ok) {
-        this.showNotification('Connection test successful!', 'success');
+        const data = await response.json();
+        const models = Array.isArray(data) ? data : data.data || data.models || [];
+        this.availableModels = models.map(model => model.id || model.name).filter(Boolean);
+
+        const modelKnown = this.availableModels.length === 0 || this.availableModels.includes(testSettings.modelName);
+        this.showNotification(
+          modelKnown ?
+            `Connection test successful! ${this.availableModels.length} models available.` :
+            `Connected, but "${testSettings.modelName}" is not in the provider's ${this.availableModels.length} models.`,
+          modelKnown ? 'success' : 'error'
+        );
       } else {
         const errorBody = await response.text();
         this.showNotification('Connection test failed. Please check your credentials.', 'error');
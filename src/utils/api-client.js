@@ -27,13 +27,44 @@ class APIClient {
       }
 
       const data = await response.json();
-      return { success: true, data };
+      return { success: true, data, models: this.normalizeModels(data) };
     } catch (error) {
       console.error('API Connection Test Error:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // List the provider's models with context length and per-1M-token pricing when reported
+  async listModels() {
+    const result = await this.testConnection();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.models;
+  }
+
+  normalizeModels(data) {
+    const models = Array.isArray(data) ? data : (data && (data.data || data.models)) || [];
+    const toPerMillion = (value) => {
+      const perToken = parseFloat(value);
+      return isNaN(perToken) || perToken < 0 ? null : perToken * 1000000;
+    };
+
+    return models
+      .map(model => ({
+        id: model.id || model.name || '',
+        name: model.name || model.id || '',
+        contextLength: model.context_length || model.context_window ||
+          (model.top_provider && model.top_provider.context_length) || null,
+        pricing: {
+          prompt: toPerMillion(model.pricing && model.pricing.prompt),
+          completion: toPerMillion(model.pricing && model.pricing.completion)
+        }
+      }))
+      .filter(model => model.id)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
   // Helper method to sanitize header values to ensure ISO-8859-1 compliance
   sanitizeHeaderValue(value) {
     if (!value) return '';
@@ -49,7 +80,8 @@ class APIClient {
   }
 
   async chatCompletion(messages, options = {}) {
-    if (!this.settings.apiKey || !this.settings.baseUrl) {
+    const needsApiKey = !['local', 'ollama'].includes(this.settings.providerType);
+    if ((needsApiKey && !this.settings.apiKey) || !this.settings.baseUrl) {
       throw new Error('API configuration is incomplete. Please check your settings.');
     }
 
@@ -218,8 +250,8 @@ class APIClient {
       }
     }
 
-    // Validate API key
-    if (!this.settings.apiKey) {
+    // Validate API key (local servers run without one)
+    if (!this.settings.apiKey && !['local', 'ollama'].includes(this.settings.providerType)) {
       errors.push('API key is required');
     }
 
@@ -3,6 +3,7 @@ class ContentExtractor {
   constructor() {
     this.defaultOptions = {
       maxContentLength: 65536,
+      truncate: false, // Long content is summarized in chunks instead of being cut
       preserveImages: false,
       preserveLinks: false,
       preserveStructure: true,
@@ -19,19 +20,31 @@ class ContentExtractor {
     };
   }
 
-  extractPageContent(options = {}) {
-    const finalOptions = { ...this.defaultOptions, ...options };
+  // A site rule's content selectors are tried before the generic ones; its remove selectors add to the defaults
+  getSiteRuleOptions(rule) {
+    if (!rule) return {};
+    return {
+      contentSelectors: [...(rule.contentSelectors || []), ...this.defaultOptions.contentSelectors],
+      removeSelectors: [...this.defaultOptions.removeSelectors, ...(rule.removeSelectors || [])]
+    };
+  }
+
+  extractPageContent(options = {}, siteRule = null) {
+    const finalOptions = { ...this.defaultOptions, ...this.getSiteRuleOptions(siteRule), ...options };
     
     try {
       const content = this.extractContent(finalOptions);
       const cleanedContent = this.cleanContent(content, finalOptions);
-      const limitedContent = this.limitContentLength(cleanedContent, finalOptions.maxContentLength);
+      const limitedContent = finalOptions.truncate ?
+        this.limitContentLength(cleanedContent, finalOptions.maxContentLength) :
+        cleanedContent;
       
       return {
         success: true,
         title: this.extractTitle(),
         url: window.location.href,
         content: limitedContent,
+        needsChunking: limitedContent.length > finalOptions.maxContentLength,
         metadata: this.extractMetadata(),
         wordCount: this.countWords(limitedContent),
         estimatedReadingTime: this.calculateReadingTime(limitedContent)
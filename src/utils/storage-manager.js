@@ -8,6 +8,38 @@ class StorageManager {
       dumplingApiUrl: 'https://app.dumplingai.com/api/v1',
       pdf2markdownUrl: 'https://xtomd.vercel.app/api',
       modelName: 'qwen/qwen3-235b-a22b-2507',
+      providerType: 'openai', // 'openai' (Chat Completions), 'anthropic' (Messages API) or 'local' (OpenAI-compatible server without a key) or 'ollama' (native API)
+      temperature: 0.3,
+      maxTokens: 4096,
+      fallbackModels: [], // Tried in order when modelName keeps failing
+      extraHeaders: {},
+      // Named endpoint/key/model presets; the fields above mirror the active one
+      profiles: [],
+      activeProfileId: '',
+      contextWindow: 65536,
+      reasoningMode: 'show', // 'show', 'hide' or 'skip' (ask the provider not to reason)
+      modelPrices: {}, // { [modelId]: { prompt, completion } } in USD per 1M tokens
+      // Usage budgets; 0 disables a cap
+      dailyTokenCap: 0,
+      dailySpendCap: 0,
+      monthlyTokenCap: 0,
+      monthlySpendCap: 0,
+      budgetAction: 'warn', // 'warn' or 'block'
+      // Named summary styles ({ id, name, prompt, lengthTarget }); empty means the built-in list
+      summaryPresets: [],
+      // Summary prompt templates per content type ({ web, youtube, pdf }); empty means the built-in one
+      promptTemplates: {},
+      // Per-site overrides keyed by host pattern; the first enabled match wins
+      siteRules: [],
+      // Host patterns summarized as soon as a page loads
+      autoSummarizeDomains: [],
+      outputLanguageMode: 'page', // 'page', 'browser' or 'fixed'
+      outputLanguage: '', // Used by the 'fixed' mode and as the user's language in bilingual mode
+      bilingualMode: 'off', // 'off', 'stacked' or 'side-by-side'
+      // Second pass that checks each summary statement against the page
+      verifySummaries: false,
+      // Number the page's paragraphs in the summary prompt and render the model's [P#] references as chips
+      citations: true,
       systemPrompt: `You are a helpful assistant that summarizes web pages. 
 Please provide a concise, neutral summary of the content provided. 
 Focus on the main points and key information.
@@ -23,15 +55,139 @@ Notes:
     };
     
     this.storageArea = 'sync'; // Use sync storage for cross-device synchronization
+    // Too large for sync's 8 KB per-item quota; these live in storage.local
+    this.localKeys = ['summaryPresets', 'promptTemplates', 'siteRules', 'profiles'];
+    this.profileFields = ['providerType', 'baseUrl', 'apiKey', 'modelName', 'temperature', 'maxTokens', 'fallbackModels', 'extraHeaders'];
+  }
+
+  // Pick the connection fields a provider profile owns
+  pickProfileFields(source) {
+    const fields = {};
+    this.profileFields.forEach(key => {
+      if (source[key] !== undefined) {
+        fields[key] = source[key];
+      }
+    });
+    return fields;
+  }
+
+  // Settings saved before profiles existed become the "Default" profile
+  getProfileList(settings) {
+    if (Array.isArray(settings.profiles) && settings.profiles.length > 0) {
+      return settings.profiles;
+    }
+
+    return [{
+      id: 'default',
+      name: 'Default',
+      ...this.pickProfileFields(settings)
+    }];
+  }
+
+  // Get provider profiles and the active one
+  async getProfiles() {
+    const result = await this.getSettings();
+    const profiles = this.getProfileList(result.settings);
+    const activeProfile = profiles.find(profile => profile.id === result.settings.activeProfileId) || profiles[0];
+
+    return {
+      success: result.success,
+      profiles: profiles,
+      activeProfile: activeProfile,
+      timestamp: Date.now()
+    };
+  }
+
+  // Create or update a profile (matched by id)
+  async saveProfile(profile) {
+    try {
+      if (!profile.name) {
+        return { success: false, error: 'Profile name is required' };
+      }
+
+      const { profiles, activeProfile } = await this.getProfiles();
+      const saved = { ...profile, id: profile.id || `profile-${Date.now()}` };
+      const index = profiles.findIndex(item => item.id === saved.id);
+
+      const updatedProfiles = index === -1 ?
+        [...profiles, saved] :
+        profiles.map(item => (item.id === saved.id ? saved : item));
+
+      const updates = { profiles: updatedProfiles };
+      if (saved.id === activeProfile.id) {
+        Object.assign(updates, this.pickProfileFields(saved));
+      }
+
+      const result = await this.updateSettings(updates);
+      return { ...result, profile: saved };
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: Date.now()
+      };
+    }
+  }
+
+  // Delete a profile; the last remaining profile cannot be removed
+  async deleteProfile(profileId) {
+    try {
+      const { profiles, activeProfile } = await this.getProfiles();
+      if (profiles.length <= 1) {
+        return { success: false, error: 'At least one profile is required' };
+      }
+
+      const remaining = profiles.filter(profile => profile.id !== profileId);
+      const nextActive = profileId === activeProfile.id ? remaining[0] : activeProfile;
+
+      return await this.updateSettings({
+        ...this.pickProfileFields(nextActive),
+        profiles: remaining,
+        activeProfileId: nextActive.id
+      });
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: Date.now()
+      };
+    }
+  }
+
+  // Make a profile active and mirror its fields into the top-level settings
+  async setActiveProfile(profileId) {
+    try {
+      const { profiles } = await this.getProfiles();
+      const profile = profiles.find(item => item.id === profileId);
+      if (!profile) {
+        return { success: false, error: `Profile '${profileId}' not found` };
+      }
+
+      return await this.updateSettings({
+        ...this.pickProfileFields(profile),
+        profiles: profiles,
+        activeProfileId: profile.id
+      });
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      return {
+        success: false,
+        error: error.message,
+        timestamp: Date.now()
+      };
+    }
   }
 
   // Get all settings
   async getSettings() {
     try {
       const result = await chrome.storage[this.storageArea].get(this.defaultSettings);
+      const localResult = await chrome.storage.local.get(this.localKeys);
       
       // Ensure all required settings exist
-      const settings = { ...this.defaultSettings, ...result };
+      const settings = { ...this.defaultSettings, ...result, ...localResult };
       
       // Add timestamp if not exists
       if (!settings.lastUpdated) {
@@ -74,8 +230,15 @@ Notes:
       // Add timestamp
       cleanSettings.lastUpdated = Date.now();
       
-      // Save to storage
-      await chrome.storage[this.storageArea].set(cleanSettings);
+      // Save to storage; the large lists go to storage.local
+      const localSettings = {};
+      const areaSettings = {};
+      Object.entries(cleanSettings).forEach(([key, value]) => {
+        (this.localKeys.includes(key) ? localSettings : areaSettings)[key] = value;
+      });
+      await chrome.storage.local.set(localSettings);
+      await chrome.storage[this.storageArea].set(areaSettings);
+      await chrome.storage[this.storageArea].remove(Object.keys(localSettings));
       
       return {
         success: true,
@@ -141,6 +304,7 @@ Notes:
   async resetSettings() {
     try {
       await chrome.storage[this.storageArea].clear();
+      await chrome.storage.local.remove(this.localKeys);
       
       // Save default settings
       const result = await this.saveSettings(this.defaultSettings);
@@ -185,15 +349,6 @@ Notes:
   // Set a specific setting
   async setSetting(key, value) {
     try {
-      // Validate the specific setting
-      const validation = this.validateSetting(key, value);
-      if (!validation.valid) {
-        return {
-          success: false,
-          error: validation.error
-        };
-      }
-      
       // Get current settings
       const currentResult = await this.getSettings();
       
@@ -204,6 +359,15 @@ Notes:
         };
       }
       
+      // Validate the specific setting
+      const validation = this.validateSetting(key, value, currentResult.settings.providerType);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: validation.error
+        };
+      }
+      
       // Update the specific setting
       const updatedSettings = {
         ...currentResult.settings,
@@ -360,6 +524,7 @@ Notes:
   async clearAllData() {
     try {
       await chrome.storage[this.storageArea].clear();
+      await chrome.storage.local.remove(this.localKeys);
       
       return {
         success: true,
@@ -391,11 +556,13 @@ Notes:
       }
     }
 
-    // Validate API key
-    if (!settings.apiKey) {
-      errors.push('API key is required');
-    } else if (settings.apiKey.length < 10) {
-      errors.push('API key appears to be too short');
+    // Validate API key (local servers run without one)
+    if (this.requiresApiKey(settings.providerType)) {
+      if (!settings.apiKey) {
+        errors.push('API key is required');
+      } else if (settings.apiKey.length < 10) {
+        errors.push('API key appears to be too short');
+      }
     }
 
     // Validate model name
@@ -418,6 +585,95 @@ Notes:
       }
     }
 
+    // Validate provider profiles
+    if (settings.profiles !== undefined && !Array.isArray(settings.profiles)) {
+      errors.push('Profiles must be a list');
+    } else if (Array.isArray(settings.profiles)) {
+      settings.profiles.forEach((profile, index) => {
+        if (!profile.id || !profile.name) {
+          errors.push(`Profile ${index + 1} needs an id and a name`);
+        }
+      });
+    }
+
+    // Validate provider type
+    if (settings.providerType && !['openai', 'anthropic', 'local', 'ollama'].includes(settings.providerType)) {
+      errors.push('Provider type must be "openai", "anthropic", "local" or "ollama"');
+    }
+
+    // Validate fallback models
+    if (settings.fallbackModels !== undefined && !Array.isArray(settings.fallbackModels)) {
+      errors.push('Fallback models must be a list of model ids');
+    }
+
+    // Validate max tokens
+    if (settings.maxTokens) {
+      const maxTokens = parseInt(settings.maxTokens);
+      if (isNaN(maxTokens) || maxTokens < 1) {
+        errors.push('Max tokens must be a positive number');
+      }
+    }
+
+    // Validate usage budgets
+    ['dailyTokenCap', 'dailySpendCap', 'monthlyTokenCap', 'monthlySpendCap'].forEach(key => {
+      if (settings[key] !== undefined && (isNaN(Number(settings[key])) || Number(settings[key]) < 0)) {
+        errors.push(`${key} must be zero or a positive number`);
+      }
+    });
+    if (settings.budgetAction && !['warn', 'block'].includes(settings.budgetAction)) {
+      errors.push('Budget action must be "warn" or "block"');
+    }
+
+    // Validate summary presets
+    if (settings.summaryPresets !== undefined && !Array.isArray(settings.summaryPresets)) {
+      errors.push('Summary presets must be a list');
+    } else if (Array.isArray(settings.summaryPresets)) {
+      settings.summaryPresets.forEach((preset, index) => {
+        if (!preset.id || !preset.name) {
+          errors.push(`Preset ${index + 1} needs an id and a name`);
+        }
+      });
+    }
+
+    // Validate prompt templates
+    if (settings.promptTemplates !== undefined &&
+        (typeof settings.promptTemplates !== 'object' || Array.isArray(settings.promptTemplates))) {
+      errors.push('Prompt templates must be an object keyed by content type');
+    }
+
+    // Validate site rules
+    if (settings.siteRules !== undefined && !Array.isArray(settings.siteRules)) {
+      errors.push('Site rules must be a list');
+    } else if (Array.isArray(settings.siteRules)) {
+      settings.siteRules.forEach((rule, index) => {
+        if (!rule.hostPattern) {
+          errors.push(`Site rule ${index + 1} needs a host pattern`);
+        }
+      });
+    }
+
+    // Validate auto-summarize allowlist
+    if (settings.autoSummarizeDomains !== undefined && !Array.isArray(settings.autoSummarizeDomains)) {
+      errors.push('Auto-summarize domains must be a list of host patterns');
+    }
+
+    // Validate output language
+    if (settings.outputLanguageMode && !['page', 'browser', 'fixed'].includes(settings.outputLanguageMode)) {
+      errors.push('Output language mode must be "page", "browser" or "fixed"');
+    } else if (settings.outputLanguageMode === 'fixed' && !settings.outputLanguage) {
+      errors.push('Choose the language to answer in');
+    }
+    if (settings.bilingualMode && !['off', 'stacked', 'side-by-side'].includes(settings.bilingualMode)) {
+      errors.push('Bilingual mode must be "off", "stacked" or "side-by-side"');
+    }
+
+    if (settings.verifySummaries !== undefined && typeof settings.verifySummaries !== 'boolean') {
+      errors.push('Summary check must be turned on or off');
+    }
+    if (settings.citations !== undefined && typeof settings.citations !== 'boolean') {
+      errors.push('Citations must be turned on or off');
+    }
+
     // Validate font size
     if (settings.fontSize) {
       const fontSize = parseInt(settings.fontSize);
@@ -432,8 +688,13 @@ Notes:
     };
   }
 
-  // Individual setting validation
-  validateSetting(key, value) {
+  // Local servers run without a key
+  requiresApiKey(providerType) {
+    return !['local', 'ollama'].includes(providerType);
+  }
+
+  // Individual setting validation; `providerType` decides whether an empty API key is allowed
+  validateSetting(key, value, providerType = this.defaultSettings.providerType) {
     switch (key) {
       case 'baseUrl':
         if (!value) {
@@ -448,7 +709,9 @@ Notes:
         
       case 'apiKey':
         if (!value) {
-          return { valid: false, error: 'API key is required' };
+          return this.requiresApiKey(providerType) ?
+            { valid: false, error: 'API key is required' } :
+            { valid: true };
         }
         if (value.length < 10) {
           return { valid: false, error: 'API key appears to be too short' };
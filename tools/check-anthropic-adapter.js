@@ -0,0 +1,103 @@
+// Runs the content script's AnthropicMessagesAdapter against tools/mock-anthropic-server.js
+// and checks the request it builds and the events it parses from the stream.
+//
+//   node tools/check-anthropic-adapter.js
+//
+// content.js is a classic content script, so the adapter and its SSE client are cut out of
+// the source and evaluated on their own.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockServer, REPLY_TEXT } = require('./mock-anthropic-server');
+
+// Objects built inside the vm context have that context's prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function extractClass(source, name) {
+  const start = source.indexOf(`class ${name} {`);
+  assert.notStrictEqual(start, -1, `class ${name} not found in content.js`);
+  const end = source.indexOf('\n}\n', start);
+  return source.slice(start, end + 2);
+}
+
+function loadAdapter() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'content.js'), 'utf8');
+  const code = [
+    extractClass(source, 'SSEStreamClient'),
+    extractClass(source, 'AnthropicMessagesAdapter'),
+    '({ AnthropicMessagesAdapter });'
+  ].join('\n');
+  return vm.runInNewContext(code, { TextDecoder, console }).AnthropicMessagesAdapter;
+}
+
+async function request(adapter, baseUrl, stream) {
+  const requestBody = {
+    model: 'claude-mock',
+    messages: [
+      { role: 'system', content: 'Summarize neutrally.' },
+      { role: 'user', content: 'Page content' }
+    ],
+    max_completion_tokens: 256,
+    temperature: 0.7,
+    stream: stream
+  };
+
+  const body = adapter.buildBody(requestBody);
+  assert.strictEqual(body.system, 'Summarize neutrally.');
+  assert.deepStrictEqual(plain(body.messages), [{ role: 'user', content: 'Page content' }]);
+  assert.strictEqual(body.max_tokens, 256);
+
+  const response = await fetch(adapter.getCompletionUrl(baseUrl), {
+    method: 'POST',
+    headers: adapter.buildHeaders('test-key', { 'HTTP-Referer': 'https://example.com', 'X-Title': 'Test' }),
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`mock server answered ${response.status}: ${await response.text()}`);
+  }
+  return response;
+}
+
+async function main() {
+  const AnthropicMessagesAdapter = loadAdapter();
+  const adapter = new AnthropicMessagesAdapter();
+
+  const headers = adapter.buildHeaders('test-key', { 'HTTP-Referer': 'https://example.com' });
+  assert.strictEqual(headers['x-api-key'], 'test-key');
+  assert.strictEqual(headers['HTTP-Referer'], undefined);
+
+  const server = createMockServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  try {
+    const events = [];
+    for await (const event of adapter.streamEvents(await request(adapter, baseUrl, true))) {
+      events.push(plain(event));
+    }
+
+    const text = events.filter(event => event.type === 'content').map(event => event.content).join('');
+    assert.strictEqual(text, REPLY_TEXT);
+    assert.deepStrictEqual(events.filter(event => event.type === 'reasoning').map(event => event.content), ['Reading the page.']);
+    assert.deepStrictEqual(events.find(event => event.type === 'finish'), { type: 'finish', reason: 'stop' });
+    assert.deepStrictEqual(events[events.length - 1], {
+      type: 'usage',
+      usage: { prompt_tokens: 42, completion_tokens: 12, total_tokens: 54 }
+    });
+
+    const result = adapter.parseResponse(await (await request(adapter, baseUrl, false)).json());
+    assert.strictEqual(result.content, REPLY_TEXT);
+    assert.strictEqual(result.finishReason, 'stop');
+    assert.strictEqual(result.usage.total_tokens, 54);
+
+    console.log('AnthropicMessagesAdapter: streaming and non-streaming responses parsed correctly');
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
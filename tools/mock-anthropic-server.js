@@ -0,0 +1,124 @@
+// Minimal stand-in for the Anthropic Messages API: replays a recorded
+// message_start / content_block_delta / message_delta stream for POST /v1/messages.
+//
+//   node tools/mock-anthropic-server.js [port]
+//
+// Then point a profile with Provider Type "Anthropic" at http://localhost:<port>/v1.
+const http = require('http');
+
+const REPLY_TEXT = 'Mock summary: the page says hello.';
+
+function buildStream(model) {
+  return [
+    ['message_start', {
+      type: 'message_start',
+      message: {
+        id: 'msg_mock', type: 'message', role: 'assistant', model: model, content: [],
+        stop_reason: null, usage: { input_tokens: 42, output_tokens: 1 }
+      }
+    }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Reading the page.' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } }],
+    ['ping', { type: 'ping' }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Mock summary: ' } }],
+    ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'the page says hello.' } }],
+    ['content_block_stop', { type: 'content_block_stop', index: 1 }],
+    ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 12 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ].map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+}
+
+function sendError(res, status, type, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ type: 'error', error: { type: type, message: message } }));
+}
+
+function handleMessages(req, res, body) {
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    sendError(res, 400, 'invalid_request_error', 'Body is not JSON');
+    return;
+  }
+
+  if (!req.headers['x-api-key']) {
+    sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+    return;
+  }
+  if (!req.headers['anthropic-version']) {
+    sendError(res, 400, 'invalid_request_error', 'anthropic-version header is required');
+    return;
+  }
+  if (!request.model || !Array.isArray(request.messages) || !request.max_tokens) {
+    sendError(res, 400, 'invalid_request_error', 'model, messages and max_tokens are required');
+    return;
+  }
+  if (request.messages.some(message => message.role === 'system')) {
+    sendError(res, 400, 'invalid_request_error', 'System prompts go in the top-level `system` field');
+    return;
+  }
+
+  if (!request.stream) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: 'msg_mock', type: 'message', role: 'assistant', model: request.model,
+      content: [{ type: 'text', text: REPLY_TEXT }],
+      stop_reason: 'end_turn', usage: { input_tokens: 42, output_tokens: 12 }
+    }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  // Odd-sized chunks so frames and lines arrive split across network reads
+  const stream = buildStream(request.model);
+  const chunks = [];
+  for (let i = 0; i < stream.length; i += 37) {
+    chunks.push(stream.slice(i, i + 37));
+  }
+  const writeNext = () => {
+    if (chunks.length === 0) {
+      res.end();
+      return;
+    }
+    res.write(chunks.shift());
+    setTimeout(writeNext, 1);
+  };
+  writeNext();
+}
+
+function createMockServer() {
+  return http.createServer((req, res) => {
+    // The extension calls from page origins, so answer the CORS preflight like the real API
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/messages') {
+      sendError(res, 404, 'not_found_error', `No route for ${req.method} ${req.url}`);
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => handleMessages(req, res, body));
+  });
+}
+
+module.exports = { createMockServer, REPLY_TEXT };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8787;
+  createMockServer().listen(port, () => {
+    console.log(`Mock Anthropic API listening on http://localhost:${port}/v1`);
+  });
+}